@@ -1,43 +1,164 @@
 import * as THREE from 'three';
+import { getContainer, createPointCloud, createParticleScene, SCENE_DEFAULTS } from './particle-scene.js';
+import { registerShape } from './morph.js';
+import { mergeOptions, rules } from './options.js';
+import { createRandom, random } from './random.js';
+import { CONTINENTS_URL, greatCircleLength, greatCirclePoint, latLonToVector, loadGeoJSON, sampleOutline } from './geo.js';
 
-export function initAlarmcentraleAnimation(containerId) {
-    const container = document.getElementById(containerId);
-    if (!container) {
-        console.error(`Container #${containerId} not found`);
-        return;
-    }
+// Default configuration
+const DEFAULT_CONFIG = mergeOptions(SCENE_DEFAULTS, {
+    // Sphere structure
+    sphereRadius: 35,
+    particleCount: 20000, // Dense particles on sphere surface
+    // Connection lines
+    lineParticleCount: 8000, // Particles for connection lines
+    satelliteCount: 40, // Number of satellite connection points
+    connectionDistance: 18,
+    // Custom network instead of the satellites above: { nodes: [{ id, lat, lon }
+    // | { id, x, y, z }], edges: [[a, b]] }, or the URL of such a JSON file.
+    // Edges name nodes by id or index and are drawn as great-circle arcs
+    topology: null,
+    // Particle outline of the continents: true for the bundled outline, or a
+    // GeoJSON object or URL
+    continents: false,
+    continentParticleCount: 6000,
+    mouse: { maxRotation: 0.1 },
+    float: { amplitude: [0.4, 0.4, 0.3] },
+    // Signal pulses running from the satellites into the centre
+    pulses: {
+        rate: 1.5, // New pulses per second (0 turns them off)
+        speed: 24, // Units per second
+        trail: 9, // Length of the fading tail, in units
+        color: null, // Colour of the pulses and flares (null: the particle colour)
+        flare: 600, // How long a satellite lights up when a pulse leaves or arrives (ms)
+    },
+    // Alerts raised with triggerAlert()
+    alerts: {
+        colors: { info: '#3d8bfd', warning: '#ffb020', critical: '#ff3b30' },
+        blink: 1.2, // Blinks per second of an alerting satellite
+    },
+});
 
-    // Configuration
-    const config = {
-        color: 0xadadad,
-        // Sphere structure
-        sphereRadius: 35,
-        particleCount: 20000, // Dense particles on sphere surface
-        // Connection lines
-        lineParticleCount: 8000, // Particles for connection lines
-        satelliteCount: 40, // Number of satellite connection points
-        connectionDistance: 18,
-    };
+// Alert severities, lowest first: the highest open alert on a satellite
+// sets its colour
+const SEVERITIES = ['info', 'warning', 'critical'];
 
-    // Scene setup
-    const scene = new THREE.Scene();
-    
-    // Camera setup
-    const camera = new THREE.PerspectiveCamera(50, container.clientWidth / container.clientHeight, 0.1, 1000);
-    camera.position.z = 100;
+// The Fibonacci layouts run from pole to pole, which takes two points
+const atLeastTwo = (value) => rules.positiveInteger(value) && value >= 2;
+
+const OPTION_RULES = {
+    sphereRadius: rules.positive,
+    particleCount: atLeastTwo,
+    lineParticleCount: rules.nonNegativeInteger,
+    satelliteCount: atLeastTwo,
+    connectionDistance: rules.nonNegative,
+    topology: (value) => value === null || (Boolean(value) && Array.isArray(value.nodes) && value.nodes.length > 0),
+    continents: (value) => value === false || (Boolean(value) && typeof value === 'object' && typeof value.type === 'string'),
+    continentParticleCount: rules.nonNegativeInteger,
+    'pulses.rate': rules.nonNegative,
+    'pulses.speed': rules.positive,
+    'pulses.trail': rules.positive,
+    'pulses.color': (value) => value === null || rules.color(value),
+    'pulses.flare': rules.nonNegative,
+    ...Object.fromEntries(SEVERITIES.map((severity) => [`alerts.colors.${severity}`, rules.color])),
+    'alerts.blink': rules.positive,
+};
+
+// Options read every frame, which don't rebuild the globe
+const LIVE_OPTIONS = ['pulses', 'alerts'];
+
+// Loaded data: a new topology or outline replaces the old one outright
+const VALUE_OPTIONS = ['topology', 'continents'];
+
+// Radians per millisecond of animation time (0.0008 per frame at 60 Hz)
+const AUTO_ROTATION_SPEED = 0.0008 / (1000 / 60);
+
+const CENTER = { x: 0, y: 0, z: 0 };
+
+// Share of a connection at a satellite end that counts as the satellite
+// node (the 'satellites' part, for per-part palettes)
+const SATELLITE_NODE_SIZE = 0.08;
+
+// Chance that a pulse is relayed through a neighbouring satellite before
+// heading for the centre
+const RELAY_CHANCE = 0.35;
+
+// Opacity of the head of a pulse or alert path, shared by the shader and
+// the Canvas2D fallback (above 1 glows under additive blending)
+const PULSE_GLOW = 1.5;
+
+// Opacity of an alert's path into the centre, and the range its satellite
+// blinks over
+const ALERT_PATH = 0.7;
+const ALERT_NODE_MIN = 0.6;
+
+// Continent outlines sit just above the surface particles
+const CONTINENT_LIFT = 1.01;
+
+// Index of the satellite closest in direction to `point`
+function nearestSatellite(satellites, point) {
+    let nearest = -1;
+    let best = -Infinity;
+    satellites.forEach((sat, index) => {
+        const alignment = (sat.x * point.x + sat.y * point.y + sat.z * point.z) / (Math.hypot(sat.x, sat.y, sat.z) || 1);
+        if (alignment > best) {
+            best = alignment;
+            nearest = index;
+        }
+    });
+    return nearest;
+}
+
+// Connection lengths and, per satellite, the links to its neighbours (with
+// the direction a pulse runs along them), plus the longest route a pulse
+// can take: one link, then the spoke into the centre
+function createLinks(satellites, connections) {
+    const lengths = new Float32Array(connections.length);
+    const links = satellites.map(() => []);
+    let longestLink = 0;
 
-    // Renderer setup
-    const renderer = new THREE.WebGLRenderer({ alpha: true, antialias: true });
-    renderer.setSize(container.clientWidth, container.clientHeight);
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-    container.appendChild(renderer.domElement);
+    connections.forEach((conn, c) => {
+        lengths[c] = conn.arc
+            ? greatCircleLength(conn.from, conn.to)
+            : Math.hypot(conn.to.x - conn.from.x, conn.to.y - conn.from.y, conn.to.z - conn.from.z);
+        if (conn.fromIndex < 0) return;
+        links[conn.fromIndex].push({ connection: c, satellite: conn.toIndex, reverse: false });
+        links[conn.toIndex].push({ connection: c, satellite: conn.fromIndex, reverse: true });
+        longestLink = Math.max(longestLink, lengths[c]);
+    });
+
+    const longestSpoke = satellites.reduce((longest, _, index) => Math.max(longest, lengths[index]), 0);
+    return { lengths, links, longestRoute: longestLink + longestSpoke };
+}
 
-    // Group to hold everything
-    const mainGroup = new THREE.Group();
-    scene.add(mainGroup);
+// Route of pulse number `k`, drawn from the pulse number and the seed alone
+// so any moment can be rendered without playing up to it: the satellite it
+// leaves from, the satellite relaying it (-1: none) and the legs it runs.
+// The first connections are the spokes, in satellite order, from the centre
+// out, so a pulse runs them backwards
+function planPulse(globe, seed, k) {
+    const next = createRandom(`${seed}:${k}`);
+    const { lengths, links } = globe.network;
+    const source = Math.floor(next() * globe.satellites.length);
+    const legs = [];
+    let relay = -1;
+
+    if (links[source].length > 0 && next() < RELAY_CHANCE) {
+        const link = links[source][Math.floor(next() * links[source].length)];
+        legs.push({ connection: link.connection, reverse: link.reverse, length: lengths[link.connection] });
+        relay = link.satellite;
+    }
+    const last = relay >= 0 ? relay : source;
+    legs.push({ connection: last, reverse: true, length: lengths[last] });
 
+    return { source, relay, legs };
+}
+
+// Satellites on a Fibonacci sphere, linked when closer than connectionDistance
+function createFibonacciNetwork(config) {
     // Generate satellite positions using Fibonacci sphere distribution
     const satellites = [];
+    const links = [];
     const phi = Math.PI * (3 - Math.sqrt(5)); // Golden angle
 
     for (let i = 0; i < config.satelliteCount; i++) {
@@ -55,12 +176,6 @@ export function initAlarmcentraleAnimation(containerId) {
         });
     }
 
-    // Calculate connections between satellites
-    const connections = [];
-    // Connect to center
-    satellites.forEach(sat => {
-        connections.push({ from: { x: 0, y: 0, z: 0 }, to: sat });
-    });
     // Connect nearby satellites
     for (let i = 0; i < satellites.length; i++) {
         for (let j = i + 1; j < satellites.length; j++) {
@@ -69,23 +184,95 @@ export function initAlarmcentraleAnimation(containerId) {
             const dz = satellites[i].z - satellites[j].z;
             const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
             if (dist < config.connectionDistance) {
-                connections.push({ from: satellites[i], to: satellites[j] });
+                links.push({ from: satellites[i], to: satellites[j], fromIndex: i, toIndex: j });
             }
         }
     }
 
+    return { satellites, links };
+}
+
+// Satellites and links from a { nodes, edges } topology. Nodes given by
+// latitude/longitude land on the sphere surface, { x, y, z } nodes are
+// used as they are; links follow great circles
+function createTopologyNetwork(topology, radius) {
+    const satellites = [];
+    // Satellite index for each entry of topology.nodes (-1: skipped)
+    const nodeIndex = [];
+
+    topology.nodes.forEach((node) => {
+        let position = null;
+        if (node && Number.isFinite(node.lat) && Number.isFinite(node.lon)) {
+            position = latLonToVector(node.lat, node.lon, radius);
+        } else if (node && [node.x, node.y, node.z].every(Number.isFinite)) {
+            position = { x: node.x, y: node.y, z: node.z };
+        }
+
+        if (!position) {
+            console.warn(`Skipping topology node ${JSON.stringify(node)}: expected { lat, lon } or { x, y, z }`);
+            nodeIndex.push(-1);
+            return;
+        }
+        nodeIndex.push(satellites.length);
+        satellites.push({ ...position, id: node.id });
+    });
+
+    // Edge ends name a node by id, or by its index in topology.nodes
+    function findNode(end) {
+        const byId = topology.nodes.findIndex((node) => node && node.id !== undefined && node.id === end);
+        if (byId >= 0) return nodeIndex[byId];
+        return Number.isInteger(end) && end >= 0 && end < nodeIndex.length ? nodeIndex[end] : -1;
+    }
+
+    const links = [];
+    const linked = new Set();
+    (topology.edges || []).forEach((edge) => {
+        const [i, j] = Array.isArray(edge) ? [findNode(edge[0]), findNode(edge[1])] : [-1, -1];
+        if (i < 0 || j < 0 || i === j) {
+            console.warn(`Skipping topology edge ${JSON.stringify(edge)}: expected two different node ids or indices`);
+            return;
+        }
+        const key = `${Math.min(i, j)}-${Math.max(i, j)}`;
+        if (linked.has(key)) return;
+        linked.add(key);
+        links.push({ from: satellites[i], to: satellites[j], fromIndex: i, toIndex: j, arc: true });
+    });
+
+    return { satellites, links };
+}
+
+// Fibonacci-sphere globe with satellites wired to the centre and to each
+// other, optionally with continent outlines
+function createGlobeCloud(config) {
+    let custom = config.topology ? createTopologyNetwork(config.topology, config.sphereRadius) : null;
+    if (custom && custom.satellites.length === 0) {
+        console.warn('Topology has no usable nodes, using the default satellites');
+        custom = null;
+    }
+    const { satellites, links } = custom || createFibonacciNetwork(config);
+    const phi = Math.PI * (3 - Math.sqrt(5)); // Golden angle
+
+    // Every satellite reports to the centre; these spokes come first, in
+    // satellite order, followed by the links between satellites
+    const connections = [
+        ...satellites.map((sat, index) => ({ from: CENTER, to: sat, fromIndex: -1, toIndex: index })),
+        ...links,
+    ];
+
     // Total particles
-    const totalParticles = config.particleCount + config.lineParticleCount;
-    
-    // Create particle system
-    const geometry = new THREE.BufferGeometry();
-    const positions = new Float32Array(totalParticles * 3);
-    const opacities = new Float32Array(totalParticles);
-    const sizes = new Float32Array(totalParticles);
-    
-    const originalPositions = new Float32Array(totalParticles * 3);
-    const floatOffsets = new Float32Array(totalParticles * 3);
-    const floatSpeeds = new Float32Array(totalParticles);
+    const continentCount = config.continents ? config.continentParticleCount : 0;
+    const lineEnd = config.particleCount + config.lineParticleCount;
+    const totalParticles = lineEnd + continentCount;
+    const cloud = createPointCloud(totalParticles, ['sphere', 'satellites', 'lines', 'continents']);
+    const { positions, opacities, sizes, parts } = cloud;
+
+    // Where each line particle sits on its connection, for the pulses: the
+    // particle range of every connection, the position along it (0 at
+    // `from`, 1 at `to`) and the node particles of every satellite
+    const connectionStart = new Int32Array(connections.length);
+    const connectionEnd = new Int32Array(connections.length);
+    const lineT = new Float32Array(totalParticles);
+    const nodes = satellites.map(() => []);
 
     // 1. Sphere surface particles
     for (let i = 0; i < config.particleCount; i++) {
@@ -101,15 +288,6 @@ export function initAlarmcentraleAnimation(containerId) {
         positions[i * 3] = x;
         positions[i * 3 + 1] = yPos;
         positions[i * 3 + 2] = z;
-        
-        originalPositions[i * 3] = x;
-        originalPositions[i * 3 + 1] = yPos;
-        originalPositions[i * 3 + 2] = z;
-        
-        floatOffsets[i * 3] = Math.random() * Math.PI * 2;
-        floatOffsets[i * 3 + 1] = Math.random() * Math.PI * 2;
-        floatOffsets[i * 3 + 2] = Math.random() * Math.PI * 2;
-        floatSpeeds[i] = 0.3 + Math.random() * 0.7;
 
         // Vertical gradient (bright top, dark bottom)
         const normalizedY = (yPos / config.sphereRadius + 1) / 2; // 0 at bottom, 1 at top
@@ -121,32 +299,28 @@ export function initAlarmcentraleAnimation(containerId) {
         const centerBoost = 1.0 - normalizedDist * 0.4; // Brighter near center (up to 40% boost)
         
         opacities[i] = gradientOpacity * (1.0 + centerBoost * 0.5); // Up to 50% brighter at center
-        sizes[i] = 1.0 + Math.random() * 0.5;
+        sizes[i] = 1.0 + random() * 0.5;
     }
 
     // 2. Connection line particles
     const particlesPerConnection = Math.floor(config.lineParticleCount / connections.length);
     let lineIndex = config.particleCount;
     
-    connections.forEach(conn => {
-        for (let j = 0; j < particlesPerConnection && lineIndex < totalParticles; j++) {
-            const t = Math.random(); // Random position along line
-            const x = conn.from.x + (conn.to.x - conn.from.x) * t;
-            const y = conn.from.y + (conn.to.y - conn.from.y) * t;
-            const z = conn.from.z + (conn.to.z - conn.from.z) * t;
+    connections.forEach((conn, c) => {
+        connectionStart[c] = lineIndex;
+        for (let j = 0; j < particlesPerConnection && lineIndex < lineEnd; j++) {
+            const t = random(); // Random position along line
+            const { x, y, z } = conn.arc
+                ? greatCirclePoint(conn.from, conn.to, t)
+                : {
+                    x: conn.from.x + (conn.to.x - conn.from.x) * t,
+                    y: conn.from.y + (conn.to.y - conn.from.y) * t,
+                    z: conn.from.z + (conn.to.z - conn.from.z) * t,
+                };
             
             positions[lineIndex * 3] = x;
             positions[lineIndex * 3 + 1] = y;
             positions[lineIndex * 3 + 2] = z;
-            
-            originalPositions[lineIndex * 3] = x;
-            originalPositions[lineIndex * 3 + 1] = y;
-            originalPositions[lineIndex * 3 + 2] = z;
-            
-            floatOffsets[lineIndex * 3] = Math.random() * Math.PI * 2;
-            floatOffsets[lineIndex * 3 + 1] = Math.random() * Math.PI * 2;
-            floatOffsets[lineIndex * 3 + 2] = Math.random() * Math.PI * 2;
-            floatSpeeds[lineIndex] = 0.3 + Math.random() * 0.7;
 
             // Vertical gradient for lines too
             const normalizedY = (y / config.sphereRadius + 1) / 2;
@@ -158,148 +332,397 @@ export function initAlarmcentraleAnimation(containerId) {
             const centerBoost = 1.0 - normalizedDist * 0.3;
             
             opacities[lineIndex] = gradientOpacity * (1.0 + centerBoost * 0.4);
-            sizes[lineIndex] = 0.8 + Math.random() * 0.3; // Slightly smaller
+            sizes[lineIndex] = 0.8 + random() * 0.3; // Slightly smaller
+
+            // The ends of a line at a satellite form its node
+            const atSatellite = t > 1 - SATELLITE_NODE_SIZE || (conn.from !== CENTER && t < SATELLITE_NODE_SIZE);
+            parts.index[lineIndex] = atSatellite ? 1 : 2;
+            lineT[lineIndex] = t;
+            if (atSatellite) nodes[t > 0.5 ? conn.toIndex : conn.fromIndex].push(lineIndex);
             
             lineIndex++;
         }
+        connectionEnd[c] = lineIndex;
     });
 
-    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-    geometry.setAttribute('opacity', new THREE.BufferAttribute(opacities, 1));
-    geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+    // 3. Continent outline particles, brighter than the surface below them
+    if (continentCount > 0) {
+        const outline = sampleOutline(config.continents, continentCount, config.sphereRadius * CONTINENT_LIFT);
+        positions.set(outline, lineEnd * 3);
+
+        for (let i = lineEnd; i < totalParticles; i++) {
+            const normalizedY = (positions[i * 3 + 1] / config.sphereRadius + 1) / 2;
+            opacities[i] = 0.35 + normalizedY * 0.65;
+            sizes[i] = 0.9 + random() * 0.3;
+            parts.index[i] = 3;
+        }
+    }
+
+    return {
+        ...cloud,
+        satellites,
+        connections,
+        network: { connectionStart, connectionEnd, lineT, nodes, ...createLinks(satellites, connections) },
+        attributes: {
+            pulse: { array: new Float32Array(totalParticles), itemSize: 1, defaultValue: 0 },
+            alert: { array: new Float32Array(totalParticles), itemSize: 1, defaultValue: 0 },
+            alertColor: { array: new Float32Array(totalParticles * 3), itemSize: 3, defaultValue: 0 },
+        },
+    };
+}
+
+registerShape('globe', (count) => {
+    // Keep the surface/line split of the default globe
+    const lineShare = DEFAULT_CONFIG.lineParticleCount / (DEFAULT_CONFIG.particleCount + DEFAULT_CONFIG.lineParticleCount);
+    const lineParticleCount = Math.round(count * lineShare);
+    // morphTo() resamples to its own count, so tiny counts may round up
+    const particleCount = Math.max(count - lineParticleCount, 2);
+    return createGlobeCloud({ ...DEFAULT_CONFIG, particleCount, lineParticleCount });
+});
+
+/**
+ * Resolves with a topology object: a URL is fetched and parsed, an object
+ * passes through.
+ */
+export async function loadTopology(source) {
+    if (typeof source !== 'string') return source;
+
+    const response = await fetch(source);
+    if (!response.ok) throw new Error(`Could not load topology ${source}: ${response.status}`);
+    return response.json();
+}
+
+// Whether options name a topology or continent outline still to be loaded
+function needsLoading(options) {
+    return typeof options.topology === 'string'
+        || options.continents === true
+        || typeof options.continents === 'string';
+}
+
+// Resolves with the options, URL topologies and continent outlines (true
+// for the bundled one) replaced by the loaded objects
+async function loadSources(options) {
+    const loaded = { ...options };
+    if (typeof options.topology === 'string') {
+        loaded.topology = await loadTopology(options.topology);
+    }
+    if (options.continents === true || typeof options.continents === 'string') {
+        loaded.continents = await loadGeoJSON(options.continents === true ? CONTINENTS_URL : options.continents);
+    }
+    return loaded;
+}
+
+/**
+ * Mounts the globe and returns its controller. When `topology` is a URL or
+ * `continents` needs loading, the canvas stays hidden until the files have
+ * loaded and the globe is built from them (the generated network, without
+ * continents, if loading fails). setOptions() accepts the same values: it
+ * then returns a Promise, resolved once the files have loaded and the
+ * options are applied.
+ */
+export function initAlarmcentraleAnimation(containerId, options = {}) {
+    const container = getContainer(containerId);
+    if (!container) return;
 
-    // Custom shader material (same style as surveillance/familyoffice)
-    const material = new THREE.ShaderMaterial({
+    // The globe on screen, for the pulse routes
+    let globe = null;
+    // Pulse routes follow the seed option; unseeded globes pick one per load
+    const fallbackSeed = Math.floor(random() * 4294967296);
+    let pulsesLit = false;
+
+    // Open alerts by id
+    const openAlerts = new Map();
+    let nextAlertId = 1;
+    let alertsLit = false;
+
+    // Pulse and alert brightness (and alert colour) per particle, written
+    // every frame from the clock
+    const signalShader = {
         uniforms: {
-            color: { value: new THREE.Color(config.color) },
-            pointSize: { value: 2.0 }
+            uPulseColor: { value: new THREE.Color() },
+            uPulseTint: { value: 0 },
+            uPulseGlow: { value: PULSE_GLOW },
         },
-        vertexShader: `
-            attribute float opacity;
-            attribute float size;
-            varying float vOpacity;
-            varying float vDepth;
-            uniform float pointSize;
-            
-            void main() {
-                vOpacity = opacity;
-                
-                vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
-                vDepth = -mvPosition.z;
-                
-                // Size varies slightly with depth for 3D feel
-                float depthScale = 250.0 / vDepth;
-                gl_PointSize = size * pointSize * depthScale;
-                gl_Position = projectionMatrix * mvPosition;
-            }
+        declarations: `
+            attribute float pulse;
+            attribute float alert;
+            attribute vec3 alertColor;
+            uniform vec3 uPulseColor;
+            uniform float uPulseTint;
+            uniform float uPulseGlow;
         `,
-        fragmentShader: `
-            uniform vec3 color;
-            varying float vOpacity;
-            
-            void main() {
-                // Circular point
-                vec2 center = gl_PointCoord - vec2(0.5);
-                float dist = length(center);
-                if (dist > 0.5) discard;
-                
-                // Soft edge
-                float alpha = smoothstep(0.5, 0.2, dist) * vOpacity;
-                gl_FragColor = vec4(color, alpha);
+        opacity: `
+            if (pulse > 0.0) {
+                vOpacity = max(vOpacity, pulse * uPulseGlow);
+                vColor = mix(vColor, uPulseColor, pulse * uPulseTint);
+            }
+            // Alerts paint over pulses
+            if (alert > 0.0) {
+                vOpacity = max(vOpacity, alert * uPulseGlow);
+                vColor = alertColor;
             }
         `,
-        transparent: true,
-        depthWrite: false,
-        blending: THREE.AdditiveBlending
-    });
+        // Same for the Canvas2D fallback renderer
+        cpuOpacity: (index, opacity, uniforms, geometry) => {
+            const pulse = geometry.getAttribute('pulse').array[index];
+            const alert = geometry.getAttribute('alert').array[index];
+            return Math.max(opacity, pulse * PULSE_GLOW, alert * PULSE_GLOW);
+        },
+        cpuColor: (index, color, uniforms, geometry) => {
+            const pulse = geometry.getAttribute('pulse').array[index];
+            if (pulse > 0 && uniforms.uPulseTint.value > 0) {
+                color.lerp(uniforms.uPulseColor.value, pulse * uniforms.uPulseTint.value);
+            }
+            if (geometry.getAttribute('alert').array[index] > 0) {
+                color.fromArray(geometry.getAttribute('alertColor').array, index * 3);
+            }
+        },
+    };
 
-    const particles = new THREE.Points(geometry, material);
-    mainGroup.add(particles);
+    // Lights the line particles of one leg behind the pulse head, fading
+    // out over the trail
+    function lightLeg(intensity, leg, head, trail) {
+        if (head < 0 || head - trail > leg.length) return;
 
-    // Mouse interaction - subtle rotation influence
-    const targetRotation = { x: 0, y: 0 };
-    const currentRotation = { x: 0, y: 0 };
-    const maxRotation = 0.1;
-    const smoothing = 0.025;
+        const { connectionStart, connectionEnd, lineT } = globe.network;
+        for (let i = connectionStart[leg.connection]; i < connectionEnd[leg.connection]; i++) {
+            const behind = head - (leg.reverse ? 1 - lineT[i] : lineT[i]) * leg.length;
+            if (behind >= 0 && behind <= trail) {
+                intensity[i] = Math.max(intensity[i], 1 - behind / trail);
+            }
+        }
+    }
 
-    window.addEventListener('mousemove', (event) => {
-        const mouseX = (event.clientX / window.innerWidth) * 2 - 1;
-        const mouseY = -(event.clientY / window.innerHeight) * 2 + 1;
-        
-        targetRotation.x = -mouseY * maxRotation;
-        targetRotation.y = mouseX * maxRotation;
-    });
+    // Lights a satellite's node for `duration` seconds after a pulse
+    // leaves or reaches it
+    function flareNode(intensity, satellite, since, duration) {
+        if (since < 0 || since >= duration) return;
+
+        const amount = 1 - since / duration;
+        globe.network.nodes[satellite].forEach((i) => {
+            intensity[i] = Math.max(intensity[i], amount);
+        });
+    }
+
+    // Pulse k leaves at k / rate seconds on the animation clock, so pulses
+    // follow pause, timeScale and renderAt() like everything else
+    function updatePulses({ config, elapsed, motion, geometry, material }) {
+        const { rate, speed, trail, color, flare } = config.pulses;
+        const attribute = geometry.getAttribute('pulse');
+
+        material.uniforms.uPulseTint.value = color === null ? 0 : 1;
+        if (color !== null) material.uniforms.uPulseColor.value.set(color);
+
+        // Only on the globe itself (not after morphing into another shape)
+        // and only with full motion
+        const active = motion === 'full' && rate > 0 && globe && geometry.userData.parts === globe.parts;
+        if (!active) {
+            if (pulsesLit) {
+                attribute.array.fill(0);
+                attribute.needsUpdate = true;
+                pulsesLit = false;
+            }
+            return;
+        }
+
+        const intensity = attribute.array;
+        intensity.fill(0);
+
+        const seconds = elapsed / 1000;
+        const flareSeconds = flare / 1000;
+        const { longestRoute } = globe.network;
+        const lifetime = Math.max((longestRoute + trail) / speed, longestRoute / speed + flareSeconds);
+        const seed = config.seed ?? fallbackSeed;
 
-    // Handle resize
-    function updateCameraPosition() {
-        const width = window.innerWidth;
-        if (width < 600) {
-            camera.position.z = 140;
-        } else if (width < 900) {
-            camera.position.z = 120;
-        } else {
-            camera.position.z = 100;
+        for (let k = Math.ceil((seconds - lifetime) * rate); k <= Math.floor(seconds * rate); k++) {
+            const age = seconds - k / rate;
+            const { source, relay, legs } = planPulse(globe, seed, k);
+
+            let offset = 0;
+            legs.forEach((leg) => {
+                lightLeg(intensity, leg, age * speed - offset, trail);
+                offset += leg.length;
+            });
+
+            flareNode(intensity, source, age, flareSeconds);
+            if (relay >= 0) flareNode(intensity, relay, age - legs[0].length / speed, flareSeconds);
         }
+
+        attribute.needsUpdate = true;
+        pulsesLit = true;
     }
-    updateCameraPosition();
-
-    window.addEventListener('resize', () => {
-        const width = container.clientWidth;
-        const height = container.clientHeight;
-        camera.aspect = width / height;
-        camera.updateProjectionMatrix();
-        renderer.setSize(width, height);
-        updateCameraPosition();
-    });
 
-    // Animation loop
-    let time = 0;
-    let autoRotation = 0;
-    const positionAttribute = geometry.getAttribute('position');
-    
-    function animate() {
-        requestAnimationFrame(animate);
-        time += 0.008;
-        autoRotation += 0.0008; // Slower continuous rotation
-
-        // Smooth mouse rotation
-        currentRotation.x += (targetRotation.x - currentRotation.x) * smoothing;
-        currentRotation.y += (targetRotation.y - currentRotation.y) * smoothing;
-        
-        // Combine auto-rotation with mouse influence
-        mainGroup.rotation.x = currentRotation.x;
-        mainGroup.rotation.y = autoRotation + currentRotation.y;
-
-        // Subtle organic floating movement for each particle
-        for (let i = 0; i < totalParticles; i++) {
-            const speed = floatSpeeds[i];
-            const ox = floatOffsets[i * 3];
-            const oy = floatOffsets[i * 3 + 1];
-            const oz = floatOffsets[i * 3 + 2];
-            
-            const dx = Math.sin(time * speed + ox) * 0.4;
-            const dy = Math.sin(time * speed * 0.8 + oy) * 0.4;
-            const dz = Math.sin(time * speed * 0.6 + oz) * 0.3;
-            
-            positionAttribute.array[i * 3] = originalPositions[i * 3] + dx;
-            positionAttribute.array[i * 3 + 1] = originalPositions[i * 3 + 1] + dy;
-            positionAttribute.array[i * 3 + 2] = originalPositions[i * 3 + 2] + dz;
+    // Satellite an alert points at on the current globe (-1: none). Targets
+    // are looked up again when the globe is rebuilt
+    function getAlertSatellite(alert) {
+        if (alert.globe !== globe) {
+            alert.globe = globe;
+            if (typeof alert.target === 'number') {
+                alert.satellite = alert.target < globe.satellites.length ? alert.target : -1;
+            } else if (typeof alert.target === 'string') {
+                alert.satellite = globe.satellites.findIndex((sat) => sat.id === alert.target);
+            } else {
+                alert.satellite = nearestSatellite(globe.satellites, latLonToVector(alert.target.lat, alert.target.lon, 1));
+            }
         }
-        positionAttribute.needsUpdate = true;
+        return alert.satellite;
+    }
+
+    // Paints every open alert: its satellite node blinks in the severity
+    // colour, its spoke into the centre stays lit. Blinking needs full motion,
+    // with less motion alerts hold steady
+    const alertColor = new THREE.Color();
+
+    function updateAlerts({ config, elapsed, motion, geometry }) {
+        const level = geometry.getAttribute('alert');
+        const tint = geometry.getAttribute('alertColor');
+
+        const shown = openAlerts.size > 0 && globe && geometry.userData.parts === globe.parts;
+        if (!shown) {
+            if (alertsLit) {
+                level.array.fill(0);
+                level.needsUpdate = true;
+                alertsLit = false;
+            }
+            return;
+        }
+
+        level.array.fill(0);
+
+        const blink = motion === 'full'
+            ? 0.5 + 0.5 * Math.cos((elapsed / 1000) * config.alerts.blink * Math.PI * 2)
+            : 1;
+        const { connectionStart, connectionEnd, nodes } = globe.network;
+
+        function paint(index, amount) {
+            level.array[index] = amount;
+            alertColor.toArray(tint.array, index * 3);
+        }
+
+        // Lowest severity first, so higher ones paint over it
+        [...openAlerts.values()]
+            .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity))
+            .forEach((alert) => {
+                const satellite = getAlertSatellite(alert);
+                if (satellite < 0) return;
+
+                alertColor.set(config.alerts.colors[alert.severity]);
+                for (let i = connectionStart[satellite]; i < connectionEnd[satellite]; i++) paint(i, ALERT_PATH);
+                nodes[satellite].forEach((i) => paint(i, ALERT_NODE_MIN + (1 - ALERT_NODE_MIN) * blink));
+            });
 
-        renderer.render(scene, camera);
+        level.needsUpdate = true;
+        tint.needsUpdate = true;
+        alertsLit = true;
     }
-    
-    animate();
 
-    return { scene, camera, renderer };
-}
+    const pending = needsLoading(options);
+    const controller = createParticleScene(container, {
+        defaults: DEFAULT_CONFIG,
+        rules: OPTION_RULES,
+        // Sources still to load are left out (undefined options are
+        // ignored) and applied through setOptions() below
+        options: pending ? { ...options, topology: undefined, continents: undefined } : options,
+        createCloud: (config) => (globe = createGlobeCloud(config)),
+        liveOptions: LIVE_OPTIONS,
+        valueOptions: VALUE_OPTIONS,
+        shader: signalShader,
+        // Slow continuous rotation on top of the mouse influence, read
+        // straight off the animation clock so renderAt() lands on the same
+        // angle every time. Below full motion the globe faces front.
+        spin: ({ elapsed, motion }) => (motion === 'full' ? elapsed * AUTO_ROTATION_SPEED : 0),
+        onFrame: (frame) => {
+            updatePulses(frame);
+            updateAlerts(frame);
+        },
+    });
+
+    const applyOptions = controller.setOptions;
+    controller.setOptions = (newOptions = {}) => {
+        if (!needsLoading(newOptions)) return applyOptions(newOptions);
+        return loadSources(newOptions).then(applyOptions, (error) => console.error(error.message));
+    };
 
-if (typeof window !== 'undefined') {
-    const scriptTag = document.querySelector('script[src*="alarmcentrale.js"]');
-    if (scriptTag) {
-        window.addEventListener('DOMContentLoaded', () => {
-            initAlarmcentraleAnimation('hero-canvas');
+    if (pending) {
+        const canvas = controller.renderer.domElement;
+        canvas.style.visibility = 'hidden';
+        controller.setOptions(options).then(() => {
+            canvas.style.visibility = '';
         });
     }
+
+    /**
+     * Raises an alert on a satellite, given by its index, its topology node
+     * id (a string) or a { lat, lon } position (degrees, the nearest
+     * satellite is used). `severity` is 'info', 'warning' or 'critical'.
+     * Returns the alert id for resolveAlert(), or null when the target is
+     * invalid.
+     */
+    controller.triggerAlert = (target, { severity = 'warning' } = {}) => {
+        const isIndex = Number.isInteger(target) && target >= 0 && target < globe.satellites.length;
+        const isNode = typeof target === 'string' && globe.satellites.some((sat) => sat.id === target);
+        const isPosition = target !== null && typeof target === 'object'
+            && Number.isFinite(target.lat) && Number.isFinite(target.lon);
+        if (!isIndex && !isNode && !isPosition) {
+            console.warn(`Invalid alert target ${JSON.stringify(target)}, expected a satellite index below ${globe.satellites.length}, a node id or { lat, lon }`);
+            return null;
+        }
+        if (!SEVERITIES.includes(severity)) {
+            console.warn(`Unknown alert severity "${severity}", expected one of: ${SEVERITIES.join(', ')}`);
+            severity = 'warning';
+        }
+
+        const id = nextAlertId++;
+        openAlerts.set(id, { target: isPosition ? { lat: target.lat, lon: target.lon } : target, severity, globe: null, satellite: -1 });
+        // Painted in onFrame, so a stopped loop needs a frame to show it
+        controller.requestRender();
+        return id;
+    };
+
+    /**
+     * Clears an alert raised with triggerAlert(). Returns whether it was open.
+     */
+    controller.resolveAlert = (id) => {
+        if (!openAlerts.delete(id)) return false;
+        controller.requestRender();
+        return true;
+    };
+
+    return controller;
+}
+
+/**
+ * Mock event source for trying alerts without a backend: raises an alert
+ * at a random spot every `interval` ms and resolves it after `duration`
+ * ms. Returns a function that stops the simulation and resolves its open
+ * alerts.
+ */
+export function simulateAlerts(controller, { interval = 4000, duration = 10000, severities = SEVERITIES } = {}) {
+    const timers = new Map();
+
+    function raise() {
+        // Uniform over the sphere
+        const lat = Math.asin(random() * 2 - 1) * 180 / Math.PI;
+        const lon = random() * 360 - 180;
+        const severity = severities[Math.floor(random() * severities.length)];
+
+        const id = controller.triggerAlert({ lat, lon }, { severity });
+        if (id === null) return;
+        timers.set(id, setTimeout(() => {
+            timers.delete(id);
+            controller.resolveAlert(id);
+        }, duration));
+    }
+
+    raise();
+    const intervalId = setInterval(raise, interval);
+
+    return () => {
+        clearInterval(intervalId);
+        timers.forEach((timer, id) => {
+            clearTimeout(timer);
+            controller.resolveAlert(id);
+        });
+        timers.clear();
+    };
 }
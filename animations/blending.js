@@ -0,0 +1,81 @@
+import * as THREE from 'three';
+
+/**
+ * How the particles combine with each other and with the page behind the
+ * transparent canvas:
+ *
+ *   'additive' - particles add up to a glow; made for dark backgrounds, it
+ *                all but disappears on light ones
+ *   'normal'   - particles are painted over each other and the page
+ *   'multiply' - particles darken the page like ink; made for light
+ *                backgrounds. WebGL can't blend with the page itself, so the
+ *                canvas is drawn normally and composited with the CSS
+ *                mix-blend-mode instead
+ *   'auto'     - 'additive' on dark, 'multiply' on light container backgrounds
+ *
+ * The shader outputs premultiplied alpha, which is what the canvas expects,
+ * so soft edges stay clean in every mode.
+ */
+
+export const BLENDING_MODES = ['additive', 'normal', 'multiply', 'auto'];
+
+// Relative luminance above which a background counts as light (about the
+// luminance of #7c7c7c)
+const LIGHT_BACKGROUND = 0.2;
+
+// Browsers paint the page canvas white when nothing sets a background
+const DEFAULT_BACKGROUND = [255, 255, 255];
+
+const MATERIAL_BLENDING = {
+    additive: THREE.AdditiveBlending,
+    normal: THREE.NormalBlending,
+    multiply: THREE.NormalBlending,
+};
+
+// Parses the rgb()/rgba() strings getComputedStyle returns
+function parseRGBA(value) {
+    const channels = (value.match(/[\d.]+/g) || []).map(Number);
+    if (channels.length < 3) return null;
+    return { rgb: channels.slice(0, 3), alpha: channels.length > 3 ? channels[3] : 1 };
+}
+
+// sRGB channel (0-255) to linear light
+function toLinear(channel) {
+    const value = channel / 255;
+    return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Relative luminance (0-1) of the background showing behind an element: the
+ * first opaque background colour on it or its ancestors. Background images
+ * and gradients are not looked at.
+ */
+export function getBackgroundLuminance(element) {
+    let rgb = DEFAULT_BACKGROUND;
+
+    for (let node = element; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+        const background = parseRGBA(getComputedStyle(node).backgroundColor);
+        if (background && background.alpha > 0) {
+            rgb = background.rgb;
+            break;
+        }
+    }
+
+    return 0.2126 * toLinear(rgb[0]) + 0.7152 * toLinear(rgb[1]) + 0.0722 * toLinear(rgb[2]);
+}
+
+/**
+ * Resolves a blending option to 'additive', 'normal' or 'multiply'.
+ */
+export function resolveBlending(mode, container) {
+    if (mode !== 'auto') return mode;
+    return getBackgroundLuminance(container) > LIGHT_BACKGROUND ? 'multiply' : 'additive';
+}
+
+/**
+ * Applies a resolved blending mode to the particle material and the canvas.
+ */
+export function applyBlending(mode, material, canvas) {
+    material.blending = MATERIAL_BLENDING[mode];
+    canvas.style.mixBlendMode = mode === 'multiply' ? 'multiply' : '';
+}
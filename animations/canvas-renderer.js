@@ -0,0 +1,187 @@
+import * as THREE from 'three';
+
+/**
+ * Canvas2D stand-in for THREE.WebGLRenderer, used when WebGL is unavailable.
+ *
+ * Draws every THREE.Points object built with createParticleMaterial as soft
+ * sprites (additive or painted over, following the material's blending), reproducing the shader's float drift, morph blend, cursor
+ * field displacement, per-point colour and depth-scaled point size on the
+ * CPU. Shape-specific effects are taken from the material's
+ * `userData.cpuOpacity` and `userData.cpuColor` hooks when provided.
+ */
+
+const SPRITE_SIZE = 32;
+
+// Sprites are cached per colour, rounded to 4 bits per channel
+const COLOR_MASK = 0xf0f0f0;
+
+const _position = new THREE.Vector3();
+const _modelView = new THREE.Matrix4();
+const _color = new THREE.Color();
+
+/**
+ * True when the browser can create a WebGL context. The probe context is
+ * released straight away, so it doesn't count against the page's limit.
+ */
+export function isWebGLAvailable() {
+    try {
+        const canvas = document.createElement('canvas');
+        const gl = window.WebGLRenderingContext && (canvas.getContext('webgl2') || canvas.getContext('webgl'));
+        if (!gl) return false;
+
+        const loseContext = gl.getExtension('WEBGL_lose_context');
+        if (loseContext) loseContext.loseContext();
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Soft round point matching the fragment shader's smoothstep(0.5, 0.2, dist)
+function createSprite(hex) {
+    const color = `#${hex.toString(16).padStart(6, '0')}`;
+    const sprite = document.createElement('canvas');
+    sprite.width = SPRITE_SIZE;
+    sprite.height = SPRITE_SIZE;
+
+    const ctx = sprite.getContext('2d');
+    const half = SPRITE_SIZE / 2;
+    const gradient = ctx.createRadialGradient(half, half, SPRITE_SIZE * 0.2, half, half, half);
+    gradient.addColorStop(0, color);
+    gradient.addColorStop(1, `${color}00`);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, SPRITE_SIZE, SPRITE_SIZE);
+
+    return sprite;
+}
+
+export function createCanvasRenderer() {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    const sprites = new Map();
+    let pixelRatio = 1;
+    let width = 0;
+    let height = 0;
+
+    function getSprite(color) {
+        const key = color.getHex() & COLOR_MASK;
+        if (!sprites.has(key)) sprites.set(key, createSprite(key));
+        return sprites.get(key);
+    }
+
+    function setPixelRatio(ratio) {
+        pixelRatio = ratio;
+        setSize(width, height);
+    }
+
+    function setSize(newWidth, newHeight) {
+        width = newWidth;
+        height = newHeight;
+        canvas.width = Math.floor(width * pixelRatio);
+        canvas.height = Math.floor(height * pixelRatio);
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+    }
+
+    function drawPoints(points, camera) {
+        const { geometry, material } = points;
+        const uniforms = material.uniforms;
+        const { cpuOpacity, cpuColor } = material.userData;
+
+        const position = geometry.getAttribute('position').array;
+        const opacity = geometry.getAttribute('opacity').array;
+        const size = geometry.getAttribute('size').array;
+        const floatOffset = geometry.getAttribute('floatOffset').array;
+        const floatSpeed = geometry.getAttribute('floatSpeed').array;
+        const morphPosition = geometry.getAttribute('morphPosition').array;
+        const morphOpacity = geometry.getAttribute('morphOpacity').array;
+        const morphSize = geometry.getAttribute('morphSize').array;
+        const displacement = geometry.getAttribute('displacement').array;
+        const color = geometry.getAttribute('color').array;
+        const morphColor = geometry.getAttribute('morphColor').array;
+
+        const time = uniforms.uTime.value;
+        const amplitude = uniforms.uFloatAmplitude.value;
+        const morph = uniforms.uMorph.value;
+        const scatter = uniforms.uScatter.value * Math.sin(morph * Math.PI);
+        const pointSize = uniforms.pointSize.value;
+
+        _modelView.multiplyMatrices(camera.matrixWorldInverse, points.matrixWorld);
+
+        for (let i = 0; i < geometry.getAttribute('position').count; i++) {
+            const i3 = i * 3;
+            const speed = floatSpeed[i];
+
+            // Morph blend plus the outward scatter that peaks midway
+            let dirX = floatOffset[i3] - Math.PI;
+            let dirY = floatOffset[i3 + 1] - Math.PI;
+            let dirZ = floatOffset[i3 + 2] - Math.PI;
+            const dirLength = Math.hypot(dirX, dirY, dirZ) || 1;
+            dirX /= dirLength;
+            dirY /= dirLength;
+            dirZ /= dirLength;
+
+            _position.set(
+                position[i3] + (morphPosition[i3] - position[i3]) * morph + dirX * scatter
+                    + Math.sin(time * speed + floatOffset[i3]) * amplitude.x + displacement[i3],
+                position[i3 + 1] + (morphPosition[i3 + 1] - position[i3 + 1]) * morph + dirY * scatter
+                    + Math.sin(time * speed * 0.8 + floatOffset[i3 + 1]) * amplitude.y + displacement[i3 + 1],
+                position[i3 + 2] + (morphPosition[i3 + 2] - position[i3 + 2]) * morph + dirZ * scatter
+                    + Math.sin(time * speed * 0.6 + floatOffset[i3 + 2]) * amplitude.z + displacement[i3 + 2]
+            ).applyMatrix4(_modelView);
+
+            const depth = -_position.z;
+            if (depth <= camera.near) continue;
+
+            _position.applyMatrix4(camera.projectionMatrix);
+            const x = (_position.x * 0.5 + 0.5) * canvas.width;
+            const y = (-_position.y * 0.5 + 0.5) * canvas.height;
+
+            let alpha = opacity[i] + (morphOpacity[i] - opacity[i]) * morph;
+            if (cpuOpacity) alpha = cpuOpacity(i, alpha, uniforms, geometry);
+            if (alpha <= 0) continue;
+
+            const diameter = (size[i] + (morphSize[i] - size[i]) * morph) * pointSize * (250 / depth);
+
+            _color.setRGB(
+                color[i3] + (morphColor[i3] - color[i3]) * morph,
+                color[i3 + 1] + (morphColor[i3 + 1] - color[i3 + 1]) * morph,
+                color[i3 + 2] + (morphColor[i3 + 2] - color[i3 + 2]) * morph
+            );
+            if (cpuColor) cpuColor(i, _color, uniforms, geometry);
+
+            ctx.globalAlpha = Math.min(alpha, 1);
+            ctx.drawImage(getSprite(_color), x - diameter / 2, y - diameter / 2, diameter, diameter);
+        }
+    }
+
+    function render(scene, camera) {
+        scene.updateMatrixWorld();
+        if (camera.parent === null) camera.updateMatrixWorld();
+
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        scene.traverseVisible((object) => {
+            if (!object.isPoints || !object.material.uniforms) return;
+
+            // Additive glow, otherwise painted over (multiply is done by CSS)
+            ctx.globalCompositeOperation = object.material.blending === THREE.AdditiveBlending ? 'lighter' : 'source-over';
+            drawPoints(object, camera);
+        });
+    }
+
+    function dispose() {
+        sprites.clear();
+    }
+
+    return {
+        domElement: canvas,
+        isCanvasRenderer: true,
+        setPixelRatio,
+        setSize,
+        render,
+        dispose,
+    };
+}
@@ -0,0 +1,145 @@
+/**
+ * Frame export for video and still capture: steps an animation through time
+ * with renderAt() and collects the canvas, either as a PNG sequence (exact
+ * frames, for MP4/GIF encoding with ffmpeg and the like) or as a WebM
+ * recorded in the browser with MediaRecorder.
+ *
+ *   const controller = await mountAnimation(element);
+ *   const frames = await captureFrames(controller, { duration: 4, fps: 30 });
+ *   frames.forEach((blob, i) => downloadBlob(blob, frameName('hero', i)));
+ *
+ * Set a `seed` on the animation for the same frames on every export. The
+ * animation is paused while capturing and resumed afterwards unless it was
+ * paused already.
+ */
+
+function canvasToBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (blob) resolve(blob);
+            else reject(new Error('Could not read the canvas'));
+        }, type, quality);
+    });
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Times (in seconds) of the frames to capture
+function frameTimes({ start = 0, duration, fps = 30 }) {
+    const frameCount = Math.max(Math.round(duration * fps), 1);
+    return Array.from({ length: frameCount }, (_, i) => start + i / fps);
+}
+
+// Runs a capture with the loop paused, then restores the previous state:
+// the clock goes back to where it was, so the page carries on from the
+// frame it showed before rather than from the last captured one
+async function withPausedAnimation(controller, callback) {
+    const wasPaused = controller.isPaused;
+    const savedTime = controller.currentTime;
+    controller.pause();
+    try {
+        return await callback(controller.renderer.domElement);
+    } finally {
+        controller.renderAt(savedTime);
+        if (!wasPaused) controller.resume();
+    }
+}
+
+/**
+ * Renders `duration` seconds from `start` at `fps` and resolves with one
+ * image Blob per frame.
+ *
+ *   type, quality - image format passed to canvas.toBlob (PNG by default)
+ *   onProgress    - called with (frameIndex, frameCount) after each frame
+ */
+export function captureFrames(controller, {
+    start = 0,
+    duration = 5,
+    fps = 30,
+    type = 'image/png',
+    quality,
+    onProgress = null,
+} = {}) {
+    const times = frameTimes({ start, duration, fps });
+
+    return withPausedAnimation(controller, async (canvas) => {
+        const frames = [];
+        for (let i = 0; i < times.length; i++) {
+            // Read the canvas right after drawing, before the browser clears it
+            controller.renderAt(times[i]);
+            frames.push(await canvasToBlob(canvas, type, quality));
+            if (onProgress) onProgress(i, times.length);
+        }
+        return frames;
+    });
+}
+
+/**
+ * Records `duration` seconds from `start` as a WebM video Blob. Frames are
+ * still rendered with renderAt() and handed to the recorder one by one, but
+ * MediaRecorder timestamps them by wall clock, so recording takes about as
+ * long as the clip.
+ *
+ *   mimeType, videoBitsPerSecond - MediaRecorder settings
+ */
+export function recordVideo(controller, {
+    start = 0,
+    duration = 5,
+    fps = 30,
+    mimeType = 'video/webm',
+    videoBitsPerSecond = 8000000,
+    onProgress = null,
+} = {}) {
+    if (typeof MediaRecorder === 'undefined' || !MediaRecorder.isTypeSupported(mimeType)) {
+        return Promise.reject(new Error(`Recording ${mimeType} is not supported in this browser`));
+    }
+
+    const times = frameTimes({ start, duration, fps });
+
+    return withPausedAnimation(controller, async (canvas) => {
+        // Frame rate 0: a frame is captured only when requested
+        const stream = canvas.captureStream(0);
+        const [track] = stream.getVideoTracks();
+        const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond });
+        const chunks = [];
+        recorder.addEventListener('dataavailable', (event) => {
+            if (event.data.size > 0) chunks.push(event.data);
+        });
+        const stopped = new Promise((resolve) => recorder.addEventListener('stop', resolve, { once: true }));
+
+        recorder.start();
+        for (let i = 0; i < times.length; i++) {
+            controller.renderAt(times[i]);
+            track.requestFrame();
+            if (onProgress) onProgress(i, times.length);
+            await wait(1000 / fps);
+        }
+        recorder.stop();
+        await stopped;
+        track.stop();
+
+        return new Blob(chunks, { type: mimeType });
+    });
+}
+
+/**
+ * Zero-padded file name for a frame of a sequence: frameName('hero', 7) →
+ * 'hero-0007.png'.
+ */
+export function frameName(prefix, index, extension = 'png') {
+    return `${prefix}-${String(index).padStart(4, '0')}.${extension}`;
+}
+
+/**
+ * Saves a Blob through a temporary download link.
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,149 @@
+import * as THREE from 'three';
+
+/**
+ * Cursor field: particles near the pointer are pushed away ('repel') or
+ * pulled in ('attract'), then spring back to their place in the shape.
+ *
+ * The simulation runs on the CPU and only writes the `displacement`
+ * attribute, which the shader adds on top of the shape position and drift.
+ * The buffer is re-uploaded only while something is actually displaced, so
+ * a resting scene costs nothing extra.
+ */
+
+export const FIELD_MODES = ['none', 'repel', 'attract'];
+
+// Below this (squared) offset and speed a particle counts as settled
+const REST_EPSILON = 1e-6;
+
+const _ray = new THREE.Vector3();
+const _modelView = new THREE.Matrix4();
+const _viewToLocal = new THREE.Matrix3();
+const _push = new THREE.Vector3();
+
+/**
+ * Creates the field state for one scene.
+ */
+export function createPointerField() {
+    let velocities = null;
+    let isActive = false;
+
+    // Direction of the ray under the pointer, in view space (from the camera)
+    function getPointerRay(pointer, camera) {
+        camera.updateMatrixWorld();
+        return _ray.set(pointer.x, pointer.y, 0.5)
+            .unproject(camera)
+            .applyMatrix4(camera.matrixWorldInverse)
+            .normalize();
+    }
+
+    /**
+     * Advances the simulation one frame.
+     *
+     *   settings - { mode, radius, strength, stiffness, damping }
+     *   pointer  - { x, y } in normalised device coordinates and `inside`
+     *              when it is over the canvas
+     */
+    function update({ geometry, material, camera, mainGroup, pointer, settings }) {
+        const displacement = geometry.getAttribute('displacement');
+        const offsets = displacement.array;
+        const count = displacement.count;
+        if (!velocities || velocities.length !== offsets.length) velocities = new Float32Array(offsets.length);
+
+        const ray = settings.mode !== 'none' && pointer.inside ? getPointerRay(pointer, camera) : null;
+        if (!ray && !isActive) return;
+
+        // Particles are measured in view space, where the pointer ray is
+        // fixed whatever the shape's rotation, and pushed back in shape space
+        mainGroup.updateMatrixWorld();
+        _modelView.multiplyMatrices(camera.matrixWorldInverse, mainGroup.matrixWorld);
+        _viewToLocal.setFromMatrix4(_modelView).invert();
+        const m = _modelView.elements;
+
+        const base = geometry.getAttribute('position').array;
+        const target = geometry.getAttribute('morphPosition').array;
+        const morph = material.uniforms.uMorph.value;
+        const { radius, strength, stiffness, damping } = settings;
+        const direction = settings.mode === 'attract' ? -1 : 1;
+        const radiusSq = radius * radius;
+        let moving = false;
+
+        for (let i = 0; i < count; i++) {
+            const i3 = i * 3;
+            let vx = velocities[i3];
+            let vy = velocities[i3 + 1];
+            let vz = velocities[i3 + 2];
+
+            if (ray) {
+                const x = base[i3] + (target[i3] - base[i3]) * morph + offsets[i3];
+                const y = base[i3 + 1] + (target[i3 + 1] - base[i3 + 1]) * morph + offsets[i3 + 1];
+                const z = base[i3 + 2] + (target[i3 + 2] - base[i3 + 2]) * morph + offsets[i3 + 2];
+                const viewX = m[0] * x + m[4] * y + m[8] * z + m[12];
+                const viewY = m[1] * x + m[5] * y + m[9] * z + m[13];
+                const viewZ = m[2] * x + m[6] * y + m[10] * z + m[14];
+
+                // Offset from the pointer ray, perpendicular to it, so depth
+                // doesn't shield particles
+                const along = viewX * _ray.x + viewY * _ray.y + viewZ * _ray.z;
+                const dx = viewX - _ray.x * along;
+                const dy = viewY - _ray.y * along;
+                const dz = viewZ - _ray.z * along;
+                const distanceSq = dx * dx + dy * dy + dz * dz;
+
+                if (along > 0 && distanceSq < radiusSq) {
+                    const distance = Math.sqrt(distanceSq) || 1e-3;
+                    const falloff = 1 - distance / radius;
+                    const push = direction * strength * falloff * falloff / distance;
+                    _push.set(dx * push, dy * push, dz * push).applyMatrix3(_viewToLocal);
+                    vx += _push.x;
+                    vy += _push.y;
+                    vz += _push.z;
+                }
+            }
+
+            // Spring back to the shape, with damping
+            vx = (vx - offsets[i3] * stiffness) * damping;
+            vy = (vy - offsets[i3 + 1] * stiffness) * damping;
+            vz = (vz - offsets[i3 + 2] * stiffness) * damping;
+
+            offsets[i3] += vx;
+            offsets[i3 + 1] += vy;
+            offsets[i3 + 2] += vz;
+            velocities[i3] = vx;
+            velocities[i3 + 1] = vy;
+            velocities[i3 + 2] = vz;
+
+            if (!moving && (vx * vx + vy * vy + vz * vz > REST_EPSILON
+                || offsets[i3] * offsets[i3] + offsets[i3 + 1] * offsets[i3 + 1] + offsets[i3 + 2] * offsets[i3 + 2] > REST_EPSILON)) {
+                moving = true;
+            }
+        }
+
+        // Everything back in place: snap to zero and stop uploading
+        if (!ray && !moving) {
+            offsets.fill(0);
+            velocities.fill(0);
+        }
+
+        displacement.needsUpdate = true;
+        isActive = Boolean(ray) || moving;
+    }
+
+    /**
+     * Drops all displacement at once (motion turned off, new cloud).
+     */
+    function reset(geometry) {
+        const displacement = geometry.getAttribute('displacement');
+        displacement.array.fill(0);
+        displacement.needsUpdate = true;
+        if (velocities) velocities.fill(0);
+        isActive = false;
+    }
+
+    return {
+        update,
+        reset,
+        get isActive() {
+            return isActive;
+        },
+    };
+}
@@ -0,0 +1,138 @@
+import { random } from './random.js';
+import { createWeightedPicker } from './sampling.js';
+
+/**
+ * Geography for the globe: placing latitude/longitude positions on a
+ * sphere, points along great-circle arcs, and particle outlines sampled
+ * from GeoJSON (the bundled continents, or any countries/regions file).
+ *
+ * Latitude 0, longitude 0 faces the camera (+z), north is up (+y) and
+ * longitude grows to the right (+x).
+ */
+
+// Natural Earth 1:110m land, about 75 KB
+export const CONTINENTS_URL = new URL('../assets/land-110m.geojson', import.meta.url).href;
+
+/**
+ * Position on a sphere of `radius` for a latitude/longitude in degrees.
+ */
+export function latLonToVector(lat, lon, radius = 1) {
+    const phi = lat * Math.PI / 180;
+    const lambda = lon * Math.PI / 180;
+    return {
+        x: radius * Math.cos(phi) * Math.sin(lambda),
+        y: radius * Math.sin(phi),
+        z: radius * Math.cos(phi) * Math.cos(lambda),
+    };
+}
+
+// Angle (radians) between two positions as seen from the centre
+function angleBetween(a, b) {
+    const lengths = Math.hypot(a.x, a.y, a.z) * Math.hypot(b.x, b.y, b.z);
+    if (lengths === 0) return 0;
+    const cosine = (a.x * b.x + a.y * b.y + a.z * b.z) / lengths;
+    return Math.acos(Math.min(Math.max(cosine, -1), 1));
+}
+
+/**
+ * Point `t` (0 to 1) of the way along the great-circle arc from `from` to
+ * `to`, with the distance from the centre blended between the two ends.
+ * Opposite points have no single arc and fall back to the straight line.
+ */
+export function greatCirclePoint(from, to, t) {
+    const angle = angleBetween(from, to);
+    const sine = Math.sin(angle);
+    const fromRadius = Math.hypot(from.x, from.y, from.z);
+    const toRadius = Math.hypot(to.x, to.y, to.z);
+
+    if (sine < 1e-6 || fromRadius === 0 || toRadius === 0) {
+        return {
+            x: from.x + (to.x - from.x) * t,
+            y: from.y + (to.y - from.y) * t,
+            z: from.z + (to.z - from.z) * t,
+        };
+    }
+
+    // Spherical interpolation of the directions
+    const a = Math.sin((1 - t) * angle) / sine / fromRadius;
+    const b = Math.sin(t * angle) / sine / toRadius;
+    const radius = fromRadius + (toRadius - fromRadius) * t;
+    return {
+        x: (from.x * a + to.x * b) * radius,
+        y: (from.y * a + to.y * b) * radius,
+        z: (from.z * a + to.z * b) * radius,
+    };
+}
+
+/**
+ * Length of the great-circle arc between two positions (at their mean
+ * distance from the centre).
+ */
+export function greatCircleLength(from, to) {
+    const radius = (Math.hypot(from.x, from.y, from.z) + Math.hypot(to.x, to.y, to.z)) / 2;
+    return angleBetween(from, to) * radius;
+}
+
+/**
+ * Resolves with a GeoJSON object: a URL is fetched and parsed, an object
+ * passes through.
+ */
+export async function loadGeoJSON(source) {
+    if (typeof source !== 'string') return source;
+
+    const response = await fetch(source);
+    if (!response.ok) throw new Error(`Could not load GeoJSON ${source}: ${response.status}`);
+    return response.json();
+}
+
+// Every line of a GeoJSON object as arrays of [lon, lat]: polygon rings,
+// line strings, and those inside features and collections
+function collectLines(geojson, lines = []) {
+    if (!geojson) return lines;
+
+    const { type, coordinates } = geojson;
+    if (type === 'FeatureCollection') geojson.features.forEach((item) => collectLines(item, lines));
+    else if (type === 'Feature') collectLines(geojson.geometry, lines);
+    else if (type === 'GeometryCollection') geojson.geometries.forEach((item) => collectLines(item, lines));
+    else if (type === 'LineString') lines.push(coordinates);
+    else if (type === 'MultiLineString' || type === 'Polygon') lines.push(...coordinates);
+    else if (type === 'MultiPolygon') coordinates.forEach((polygon) => lines.push(...polygon));
+
+    return lines;
+}
+
+/**
+ * Spreads `count` points evenly (by arc length) along the outlines in a
+ * GeoJSON object, on a sphere of `radius`. Returns a Float32Array of xyz
+ * triplets. Cuts along the antimeridian, where polygons are split, are
+ * left out.
+ */
+export function sampleOutline(geojson, count, radius) {
+    const positions = new Float32Array(count * 3);
+    const segments = [];
+
+    collectLines(geojson).forEach((line) => {
+        for (let i = 1; i < line.length; i++) {
+            const [lon1, lat1] = line[i - 1];
+            const [lon2, lat2] = line[i];
+            if (Math.abs(lon1) === 180 && lon1 === lon2) continue;
+            segments.push([latLonToVector(lat1, lon1, radius), latLonToVector(lat2, lon2, radius)]);
+        }
+    });
+
+    if (segments.length === 0) {
+        if (count > 0) console.warn('GeoJSON outline has no lines or polygons to sample');
+        return positions;
+    }
+
+    const picker = createWeightedPicker(segments.map(([from, to]) => greatCircleLength(from, to)));
+    for (let i = 0; i < count; i++) {
+        const [from, to] = segments[picker.pick()];
+        const point = greatCirclePoint(from, to, random());
+        positions[i * 3] = point.x;
+        positions[i * 3 + 1] = point.y;
+        positions[i * 3 + 2] = point.z;
+    }
+
+    return positions;
+}
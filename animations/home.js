@@ -1,231 +1,252 @@
-import * as THREE from 'https://unpkg.com/three@0.160.0/build/three.module.js';
+import * as THREE from 'three';
+import { getContainer, createPointCloud, createParticleScene, SCENE_DEFAULTS } from './particle-scene.js';
+import { registerShape } from './morph.js';
+import { mergeOptions, rules } from './options.js';
+import { random } from './random.js';
 
-export function initHomeAnimation(containerId) {
-    const container = document.getElementById(containerId);
-    if (!container) {
-        console.error(`Container #${containerId} not found`);
-        return;
-    }
+// Default configuration
+const DEFAULT_CONFIG = mergeOptions(SCENE_DEFAULTS, {
+    particleCount: 25000,
+    radius: 35,
+    tubeRadius: 6,
+    animationDuration: 20000, // 20 seconds in milliseconds
+    startAngle: Math.PI / 2, // Start at 12 o'clock (top)
+    progress: 'time', // What drives the sweep: 'time' | 'scroll' | 'manual'
+    scrollStart: null, // Element or selector where the scroll sweep starts (defaults to the container)
+    scrollEnd: null, // Element or selector where it ends (defaults to scrollStart)
+    scrollCycle: 'fill', // 'fill': scrolling through fills the ring | 'full': fills, then empties
+    accentColor: null, // Colour of the lit part of the ring (null: the particle colour)
+});
 
-    // Get dimensions - fallback to window size if container has no dimensions
-    const getWidth = () => container.clientWidth || window.innerWidth;
-    const getHeight = () => container.clientHeight || window.innerHeight;
-
-    // Configuration
-    const config = {
-        color: 0xadadad,
-        particleCount: 25000,
-        radius: 35,
-        tubeRadius: 6,
-        animationDuration: 20000, // 20 seconds in milliseconds
-        startAngle: Math.PI / 2, // Start at 12 o'clock (top)
-    };
+const OPTION_RULES = {
+    particleCount: rules.positiveInteger,
+    radius: rules.positive,
+    tubeRadius: rules.nonNegative,
+    animationDuration: rules.positive,
+    startAngle: rules.number,
+    progress: rules.oneOf('time', 'scroll', 'manual'),
+    scrollCycle: rules.oneOf('fill', 'full'),
+    accentColor: (value) => value === null || rules.color(value),
+};
+
+// Options that only change how the sweep is driven, not the ring itself
+const SWEEP_OPTIONS = ['animationDuration', 'startAngle', 'progress', 'scrollStart', 'scrollEnd', 'scrollCycle', 'accentColor'];
+
+// Per-particle flicker hash, the CPU twin of flicker() in the shader
+function flicker(x, y, z) {
+    const value = Math.sin(x * 12.9898 + y * 78.233 + z * 37.719) * 43758.5453;
+    return value - Math.floor(value);
+}
+
+// Whether a ring particle is inside the lit part of the sweep (CPU twin of
+// the shader's isHighlighted)
+function isLit(ringAngle, uniforms) {
+    const angleDiff = ((uniforms.uStartAngle.value - ringAngle) % (Math.PI * 2) + Math.PI * 2) % (Math.PI * 2);
+    const sweepAngle = uniforms.uSweepAngle.value;
+    return uniforms.uFilling.value > 0.5
+        ? angleDiff <= sweepAngle
+        : angleDiff > sweepAngle;
+}
 
-    // Scene setup
-    const scene = new THREE.Scene();
-    
-    // Camera setup
-    const camera = new THREE.PerspectiveCamera(50, getWidth() / getHeight(), 0.1, 1000);
-    camera.position.z = 100;
-
-    // Renderer setup
-    const renderer = new THREE.WebGLRenderer({ alpha: true, antialias: true });
-    renderer.setSize(getWidth(), getHeight());
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-    container.appendChild(renderer.domElement);
-
-    // Group to hold everything
-    const mainGroup = new THREE.Group();
-    scene.add(mainGroup);
-
-    // Create particle system
-    const geometry = new THREE.BufferGeometry();
-    const positions = new Float32Array(config.particleCount * 3);
-    const opacities = new Float32Array(config.particleCount);
-    const baseOpacities = new Float32Array(config.particleCount); // Store base opacity for non-ring particles
-    const sizes = new Float32Array(config.particleCount);
-    
-    const originalPositions = new Float32Array(config.particleCount * 3);
-    const floatOffsets = new Float32Array(config.particleCount * 3);
-    const floatSpeeds = new Float32Array(config.particleCount);
-    
-    // Store angle for each particle (for ring particles, used for dynamic highlighting)
+function resolveElement(target) {
+    return typeof target === 'string' ? document.querySelector(target) : target;
+}
+
+// Ring (torus) with a sparse spherical core
+function createRingCloud(config) {
+    const cloud = createPointCloud(config.particleCount, ['core', 'ring']);
+    const { positions, opacities, sizes, parts } = cloud;
+
+    // Angle around the ring for each ring particle (used by the sweep highlight
+    // in the shader); core particles are marked with -1
     const particleAngles = new Float32Array(config.particleCount);
-    const isRingParticle = new Uint8Array(config.particleCount); // 1 if ring particle, 0 otherwise
 
     // Distribution - all ring particles now, no static highlight
     const ringParticles = Math.floor(config.particleCount * 0.85);
-    const coreParticles = config.particleCount - ringParticles;
 
     for (let i = 0; i < config.particleCount; i++) {
         let x, y, z;
-        let angle = 0;
+        let angle = -1;
 
         if (i < ringParticles) {
             // Ring particles (Torus) - evenly distributed
-            isRingParticle[i] = 1;
-            
-            const u = Math.random() * Math.PI * 2; // Angle around the ring
+            const u = random() * Math.PI * 2; // Angle around the ring
             angle = u;
-            
-            const v = Math.random() * Math.PI * 2; // Angle inside the tube
-            const r = config.tubeRadius * (0.5 + 0.5 * Math.random());
-            
+
+            const v = random() * Math.PI * 2; // Angle inside the tube
+            const r = config.tubeRadius * (0.5 + 0.5 * random());
+
             x = (config.radius + r * Math.cos(v)) * Math.cos(u);
             y = (config.radius + r * Math.cos(v)) * Math.sin(u);
             z = r * Math.sin(v);
-            
+
         } else {
             // Center Core (Sparse volume)
-            isRingParticle[i] = 0;
-            
-            const u = Math.random() * Math.PI * 2;
-            const v = Math.acos(2 * Math.random() - 1);
-            const r = config.radius * 0.7 * Math.cbrt(Math.random());
-            
+            const u = random() * Math.PI * 2;
+            const v = Math.acos(2 * random() - 1);
+            const r = config.radius * 0.7 * Math.cbrt(random());
+
             x = r * Math.sin(v) * Math.cos(u);
             y = r * Math.sin(v) * Math.sin(u);
             z = r * Math.cos(v);
         }
 
         particleAngles[i] = angle;
+        parts.index[i] = i < ringParticles ? 1 : 0;
 
         positions[i * 3] = x;
         positions[i * 3 + 1] = y;
         positions[i * 3 + 2] = z;
-        
-        originalPositions[i * 3] = x;
-        originalPositions[i * 3 + 1] = y;
-        originalPositions[i * 3 + 2] = z;
-        
-        floatOffsets[i * 3] = Math.random() * Math.PI * 2;
-        floatOffsets[i * 3 + 1] = Math.random() * Math.PI * 2;
-        floatOffsets[i * 3 + 2] = Math.random() * Math.PI * 2;
-        floatSpeeds[i] = 0.3 + Math.random() * 0.7;
-
-        // Initial opacity & size (ring particles will be updated dynamically)
-        if (isRingParticle[i]) {
+
+        // Initial opacity & size (ring particles are lit by the sweep in the shader)
+        if (i < ringParticles) {
             opacities[i] = 0.15; // Dim by default
-            sizes[i] = 0.9 + Math.random() * 0.4;
+            sizes[i] = 0.9 + random() * 0.4;
         } else {
             // Core particles - slight gradient based on Y
             const normalizedY = (y / config.radius + 1) / 2;
             opacities[i] = 0.08 + normalizedY * 0.2;
-            baseOpacities[i] = opacities[i];
-            sizes[i] = 0.7 + Math.random() * 0.4;
+            sizes[i] = 0.7 + random() * 0.4;
         }
     }
 
-    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-    geometry.setAttribute('opacity', new THREE.BufferAttribute(opacities, 1));
-    geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+    return {
+        ...cloud,
+        attributes: { ringAngle: { array: particleAngles, itemSize: 1, defaultValue: -1 } },
+    };
+}
+
+registerShape('ring', (count) => createRingCloud({ ...DEFAULT_CONFIG, particleCount: count }));
+
+export function initHomeAnimation(containerId, options = {}) {
+    const container = getContainer(containerId);
+    if (!container) return;
+
+    let scrollStart;
+    let scrollEnd;
+    let manualProgress = 0;
 
-    // Shader Material
-    const material = new THREE.ShaderMaterial({
+    function resolveScrollElements(config) {
+        scrollStart = resolveElement(config.scrollStart) || container;
+        scrollEnd = resolveElement(config.scrollEnd) || scrollStart;
+    }
+    resolveScrollElements(mergeOptions(DEFAULT_CONFIG, options));
+
+    // Sweep highlight, evaluated per vertex from the stored ring angles
+    const sweepShader = {
         uniforms: {
-            color: { value: new THREE.Color(config.color) },
-            pointSize: { value: 2.0 }
+            uStartAngle: { value: DEFAULT_CONFIG.startAngle },
+            uSweepAngle: { value: 0 },
+            uFilling: { value: 1 },
+            uAccent: { value: new THREE.Color() },
+            uAccentAmount: { value: 0 },
+            uFlickerTime: { value: 0 },
         },
-        vertexShader: `
-            attribute float opacity;
-            attribute float size;
-            varying float vOpacity;
-            varying float vDepth;
-            uniform float pointSize;
-            
-            void main() {
-                vOpacity = opacity;
-                
-                vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
-                vDepth = -mvPosition.z;
-                
-                float depthScale = 250.0 / vDepth;
-                gl_PointSize = size * pointSize * depthScale;
-                gl_Position = projectionMatrix * mvPosition;
+        declarations: `
+            attribute float ringAngle;
+            uniform float uStartAngle;
+            uniform float uSweepAngle;
+            uniform float uFilling;
+            uniform vec3 uAccent;
+            uniform float uAccentAmount;
+            uniform float uFlickerTime;
+
+            float flicker(vec3 seed) {
+                return fract(sin(dot(seed, vec3(12.9898, 78.233, 37.719))) * 43758.5453);
             }
         `,
-        fragmentShader: `
-            uniform vec3 color;
-            varying float vOpacity;
-            
-            void main() {
-                vec2 center = gl_PointCoord - vec2(0.5);
-                float dist = length(center);
-                if (dist > 0.5) discard;
-                
-                float alpha = smoothstep(0.5, 0.2, dist) * vOpacity;
-                gl_FragColor = vec4(color, alpha);
+        opacity: `
+            if (ringAngle >= 0.0) {
+                // How far clockwise from 12 o'clock, normalized to 0 to 2*PI
+                float angleDiff = mod(uStartAngle - ringAngle, 6.28318530718);
+
+                // Fill phase: lit within the swept area
+                // Empty phase: particles turn off from the start (first on, first off)
+                bool isHighlighted = uFilling > 0.5
+                    ? angleDiff <= uSweepAngle
+                    : angleDiff > uSweepAngle;
+
+                float sweepOpacity = isHighlighted
+                    ? 0.7 + flicker(floatOffset + fract(uFlickerTime)) * 0.3
+                    : 0.15;
+
+                // A morph away from the ring fades the sweep out with it
+                vOpacity = mix(sweepOpacity, morphOpacity, uMorph);
+                if (isHighlighted) vColor = mix(vColor, uAccent, uAccentAmount * (1.0 - uMorph));
             }
         `,
-        transparent: true,
-        depthWrite: false,
-        blending: THREE.AdditiveBlending
-    });
+        // Same highlight for the Canvas2D fallback renderer
+        cpuOpacity: (index, opacity, uniforms, geometry) => {
+            const ringAngle = geometry.getAttribute('ringAngle').array[index];
+            if (ringAngle < 0) return opacity;
 
-    const particles = new THREE.Points(geometry, material);
-    mainGroup.add(particles);
-
-    // Mouse interaction (same as surveillance/familyoffice)
-    const targetRotation = { x: 0, y: 0 };
-    const currentRotation = { x: 0, y: 0 };
-    const maxRotation = 0.12;
-    const smoothing = 0.025;
-
-    window.addEventListener('mousemove', (event) => {
-        const mouseX = (event.clientX / window.innerWidth) * 2 - 1;
-        const mouseY = -(event.clientY / window.innerHeight) * 2 + 1;
-        
-        targetRotation.x = -mouseY * maxRotation;
-        targetRotation.y = mouseX * maxRotation;
-    });
+            let sweepOpacity = 0.15;
+            if (isLit(ringAngle, uniforms)) {
+                // Same hash as the shader, so the flicker depends only on the time
+                const floatOffsets = geometry.getAttribute('floatOffset').array;
+                const phase = uniforms.uFlickerTime.value % 1;
+                sweepOpacity = 0.7 + flicker(
+                    floatOffsets[index * 3] + phase,
+                    floatOffsets[index * 3 + 1] + phase,
+                    floatOffsets[index * 3 + 2] + phase
+                ) * 0.3;
+            }
 
-    // Resize handling
-    function updateCameraPosition() {
-        const width = window.innerWidth;
-        if (width < 600) {
-            camera.position.z = 140;
-        } else if (width < 900) {
-            camera.position.z = 120;
-        } else {
-            camera.position.z = 100;
+            const morph = uniforms.uMorph.value;
+            const morphOpacity = geometry.getAttribute('morphOpacity').array[index];
+            return sweepOpacity + (morphOpacity - sweepOpacity) * morph;
+        },
+        cpuColor: (index, color, uniforms, geometry) => {
+            const ringAngle = geometry.getAttribute('ringAngle').array[index];
+            const amount = uniforms.uAccentAmount.value * (1 - uniforms.uMorph.value);
+            if (amount > 0 && ringAngle >= 0 && isLit(ringAngle, uniforms)) {
+                color.lerp(uniforms.uAccent.value, amount);
+            }
+        },
+    };
+
+    // Scroll position between the start and end elements, 0 to 1
+    function getScrollProgress() {
+        const startRect = scrollStart.getBoundingClientRect();
+        const endRect = scrollEnd.getBoundingClientRect();
+
+        // 0 when the start element's top reaches the top of the viewport,
+        // 1 when the end element's bottom reaches the bottom of the viewport
+        let range = endRect.bottom - startRect.top - window.innerHeight;
+        if (range <= 0) {
+            // Section is no taller than the viewport: run until it has scrolled out
+            range = endRect.bottom - startRect.top;
         }
+        if (range <= 0) return 0;
+
+        return Math.min(Math.max(-startRect.top / range, 0), 1);
     }
-    updateCameraPosition();
-
-    window.addEventListener('resize', () => {
-        const width = getWidth();
-        const height = getHeight();
-        camera.aspect = width / height;
-        camera.updateProjectionMatrix();
-        renderer.setSize(width, height);
-        updateCameraPosition();
-    });
 
-    // Animation loop
-    let time = 0;
-    const startTime = performance.now();
-    const positionAttribute = geometry.getAttribute('position');
-    const opacityAttribute = geometry.getAttribute('opacity');
-    
-    function animate() {
-        requestAnimationFrame(animate);
-        time += 0.008;
-
-        // Smooth mouse rotation (no auto-rotation)
-        currentRotation.x += (targetRotation.x - currentRotation.x) * smoothing;
-        currentRotation.y += (targetRotation.y - currentRotation.y) * smoothing;
-        
-        mainGroup.rotation.x = currentRotation.x;
-        mainGroup.rotation.y = currentRotation.y;
+    // Position in the fill + empty cycle, 0 to 1 (0.5 = fully lit)
+    function getCycleProgress(config, elapsed) {
+        if (config.progress === 'scroll') {
+            const scrollProgress = getScrollProgress();
+            return config.scrollCycle === 'full' ? scrollProgress : scrollProgress * 0.5;
+        }
+        if (config.progress === 'manual') {
+            return manualProgress;
+        }
 
         // Calculate progress through full cycle (fill + empty = 40 seconds total)
-        const elapsed = performance.now() - startTime;
         const fullCycleDuration = config.animationDuration * 2; // 40 seconds
-        const fullCycleProgress = (elapsed % fullCycleDuration) / fullCycleDuration;
-        
+        return (elapsed % fullCycleDuration) / fullCycleDuration;
+    }
+
+    // Sweep the ring highlight clockwise from 12 o'clock, then empty it again
+    function updateSweep({ config, time, elapsed, motion, material }) {
+        // The still frame (motion 'none') shows the fully lit ring on the time source
+        const fullCycleProgress = motion === 'none' && config.progress === 'time'
+            ? 0.5
+            : getCycleProgress(config, elapsed);
+
         // Determine if we're in fill phase (0-0.5) or empty phase (0.5-1)
         const isFilling = fullCycleProgress < 0.5;
-        
+
         // Calculate sweep angle based on phase
         let sweepAngle;
         if (isFilling) {
@@ -238,68 +259,54 @@ export function initHomeAnimation(containerId) {
             sweepAngle = emptyProgress * Math.PI * 2;
         }
 
-        // Update particles
-        for (let i = 0; i < config.particleCount; i++) {
-            const speed = floatSpeeds[i];
-            const ox = floatOffsets[i * 3];
-            const oy = floatOffsets[i * 3 + 1];
-            const oz = floatOffsets[i * 3 + 2];
-            
-            // Organic float
-            const dx = Math.sin(time * speed + ox) * 0.5;
-            const dy = Math.sin(time * speed * 0.8 + oy) * 0.5;
-            const dz = Math.sin(time * speed * 0.6 + oz) * 0.3;
-            
-            positionAttribute.array[i * 3] = originalPositions[i * 3] + dx;
-            positionAttribute.array[i * 3 + 1] = originalPositions[i * 3 + 1] + dy;
-            positionAttribute.array[i * 3 + 2] = originalPositions[i * 3 + 2] + dz;
-
-            // Update opacity for ring particles based on sweep progress
-            if (isRingParticle[i]) {
-                const particleAngle = particleAngles[i];
-                
-                // Normalize angle relative to start (12 o'clock = PI/2)
-                // Angle difference: how far clockwise from 12 o'clock
-                let angleDiff = config.startAngle - particleAngle;
-                
-                // Normalize to 0 to 2*PI range
-                while (angleDiff < 0) angleDiff += Math.PI * 2;
-                while (angleDiff >= Math.PI * 2) angleDiff -= Math.PI * 2;
-                
-                let isHighlighted;
-                if (isFilling) {
-                    // Fill phase: particles are lit if they're within the swept area
-                    isHighlighted = angleDiff <= sweepAngle;
-                } else {
-                    // Empty phase: particles turn off from the start (first on, first off)
-                    // Particle is lit if it's BEYOND the "emptied" area
-                    isHighlighted = angleDiff > sweepAngle;
-                }
-                
-                if (isHighlighted) {
-                    opacityAttribute.array[i] = 0.7 + Math.random() * 0.3;
-                } else {
-                    opacityAttribute.array[i] = 0.15;
-                }
-            }
-        }
-        
-        positionAttribute.needsUpdate = true;
-        opacityAttribute.needsUpdate = true;
-
-        renderer.render(scene, camera);
+        material.uniforms.uStartAngle.value = config.startAngle;
+        material.uniforms.uAccentAmount.value = config.accentColor === null ? 0 : 1;
+        if (config.accentColor !== null) material.uniforms.uAccent.value.set(config.accentColor);
+        material.uniforms.uSweepAngle.value = sweepAngle;
+        // The flicker is motion too: below full motion it holds one fixed pattern
+        material.uniforms.uFlickerTime.value = motion === 'full' ? time : 0;
+        material.uniforms.uFilling.value = isFilling ? 1 : 0;
     }
-    
-    animate();
 
-    return { scene, camera, renderer };
-}
+    const controller = createParticleScene(container, {
+        defaults: DEFAULT_CONFIG,
+        rules: OPTION_RULES,
+        options,
+        createCloud: createRingCloud,
+        liveOptions: SWEEP_OPTIONS,
+        shader: sweepShader,
+        onFrame: updateSweep,
+        onOptionsChange: resolveScrollElements,
+    });
+
+    /**
+     * Sets the sweep position for the 'manual' progress source: 0 to 0.5
+     * fills the ring, 0.5 to 1 empties it again (first on, first off).
+     */
+    controller.setProgress = (progress) => {
+        manualProgress = Math.min(Math.max(progress, 0), 1);
+        controller.requestRender();
+    };
 
-if (typeof window !== 'undefined') {
-    const scriptTag = document.querySelector('script[src*="home.js"]');
-    if (scriptTag) {
-        window.addEventListener('DOMContentLoaded', () => {
-            initHomeAnimation('hero-canvas');
+    // The still frame (motion 'none') follows the scroll source too, at
+    // most once per animation frame
+    let scrollFrame = null;
+    function onScroll() {
+        if (scrollFrame !== null || controller.config.progress !== 'scroll' || controller.motion !== 'none') return;
+        scrollFrame = requestAnimationFrame(() => {
+            scrollFrame = null;
+            controller.requestRender();
         });
     }
+    window.addEventListener('scroll', onScroll, { passive: true });
+
+    const destroyScene = controller.destroy;
+    controller.destroy = () => {
+        window.removeEventListener('scroll', onScroll);
+        if (scrollFrame !== null) cancelAnimationFrame(scrollFrame);
+        scrollFrame = null;
+        destroyScene();
+    };
+
+    return controller;
 }
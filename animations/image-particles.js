@@ -0,0 +1,124 @@
+import { createPointCloud } from './particle-scene.js';
+import { random } from './random.js';
+import { createWeightedPicker } from './sampling.js';
+import { SVG_SIZE } from './svg-particles.js';
+
+/**
+ * Turns a raster image (PNG/JPEG photo, portrait, building) into a ghostly
+ * particle cloud: particles land on pixels with probability proportional to
+ * their luminance or alpha, and each particle's opacity and size follow the
+ * brightness of the pixel it landed on.
+ *
+ * Images are read at no more than MAX_IMAGE_SIZE pixels on the longer side,
+ * centred and normalised to SVG_SIZE units like the SVG and text clouds.
+ */
+
+export const DENSITY_MODES = ['luminance', 'alpha'];
+
+const MAX_IMAGE_SIZE = 512;
+
+/**
+ * Resolves with something drawable: an image URL is fetched and decoded to
+ * an ImageBitmap, an <img> is waited on until it has decoded, and an
+ * ImageBitmap, <canvas> or ImageData passes through.
+ */
+export async function loadImage(source) {
+    if (typeof HTMLImageElement !== 'undefined' && source instanceof HTMLImageElement) {
+        // Still loading, it would draw as nothing (and size 0 x 0)
+        await source.decode();
+        return source;
+    }
+    if (typeof source !== 'string') return source;
+
+    const response = await fetch(source);
+    if (!response.ok) throw new Error(`Could not load image ${source}: ${response.status}`);
+    return createImageBitmap(await response.blob());
+}
+
+/**
+ * Reads the pixels of a drawable image as ImageData, downscaled to at most
+ * `maxSize` pixels on the longer side.
+ */
+export function readImagePixels(image, maxSize = MAX_IMAGE_SIZE) {
+    if (typeof ImageData !== 'undefined' && image instanceof ImageData) return image;
+
+    const sourceWidth = image.naturalWidth || image.width;
+    const sourceHeight = image.naturalHeight || image.height;
+    const fit = Math.min(maxSize / Math.max(sourceWidth, sourceHeight), 1);
+    const width = Math.max(Math.round(sourceWidth * fit), 1);
+    const height = Math.max(Math.round(sourceHeight * fit), 1);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(image, 0, 0, width, height);
+
+    return ctx.getImageData(0, 0, width, height);
+}
+
+/**
+ * Builds a cloud from RGBA pixels ({ data, width, height }, e.g. ImageData).
+ *
+ *   count   - number of particles
+ *   depth   - z range the particles are spread over, for some volume
+ *   scale   - multiplier on the normalised size
+ *   density - 'luminance' places particles on bright pixels (photos on a
+ *             dark page), 'alpha' on opaque ones (cut-out logos and icons)
+ */
+export function particlesFromPixels({ data, width, height }, {
+    count = 15000,
+    depth = 8,
+    scale = 1,
+    density = 'luminance',
+} = {}) {
+    const pixelCount = width * height;
+    const brightness = new Float32Array(pixelCount);
+    const weights = new Float32Array(pixelCount);
+
+    for (let i = 0; i < pixelCount; i++) {
+        const alpha = data[i * 4 + 3] / 255;
+        // Rec. 709 luma, premultiplied so transparent pixels stay dark
+        const luminance = ((0.2126 * data[i * 4] + 0.7152 * data[i * 4 + 1] + 0.0722 * data[i * 4 + 2]) / 255) * alpha;
+
+        brightness[i] = luminance;
+        weights[i] = density === 'alpha' ? alpha : luminance;
+    }
+
+    const picker = createWeightedPicker(weights);
+    if (picker.total <= 0) {
+        console.warn('Image has no bright or opaque pixels to place particles on');
+        return createPointCloud(0);
+    }
+
+    const unit = (SVG_SIZE / Math.max(width, height)) * scale;
+    const cloud = createPointCloud(count);
+    const { positions, opacities, sizes } = cloud;
+
+    for (let i = 0; i < count; i++) {
+        const pixel = picker.pick();
+
+        // Random spot inside the pixel, centred, y up
+        const px = (pixel % width) + random();
+        const py = Math.floor(pixel / width) + random();
+
+        positions[i * 3] = (px - width / 2) * unit;
+        positions[i * 3 + 1] = -(py - height / 2) * unit;
+        positions[i * 3 + 2] = (random() - 0.5) * depth; // Add volume
+
+        // Brighter pixels give stronger, larger points
+        const value = brightness[pixel];
+        opacities[i] = 0.15 + value * 0.75; // Range: 0.15 to 0.9
+        sizes[i] = 0.6 + value * 1.2 + random() * 0.2; // Range: 0.6 to 2.0
+    }
+
+    return cloud;
+}
+
+/**
+ * Builds a cloud from an image URL, ImageBitmap, <img>, <canvas> or
+ * ImageData. Resolves with the cloud; see particlesFromPixels for the options.
+ */
+export async function particlesFromImage(source, options = {}) {
+    return particlesFromPixels(readImagePixels(await loadImage(source)), options);
+}
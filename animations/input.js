@@ -0,0 +1,204 @@
+/**
+ * Tilt input for the scenes: mouse hover, touch and pen drags with inertia,
+ * and (opt-in) the device's own orientation.
+ *
+ * Every source writes the same target rotation, clamped to maxRotation; the
+ * scene eases towards it with its smoothing. The pointer position over the
+ * canvas is tracked alongside for the cursor field.
+ */
+
+// Phone tilt (degrees away from where it was first held) for a full maxRotation
+const ORIENTATION_RANGE = 30;
+
+// Inertia below this speed (radians per frame) has died out
+const INERTIA_EPSILON = 1e-5;
+
+const clamp = (value, limit) => Math.min(Math.max(value, -limit), limit);
+
+/**
+ * Whether orientation events need an explicit permission (iOS Safari).
+ */
+function needsOrientationPermission() {
+    return typeof DeviceOrientationEvent !== 'undefined'
+        && typeof DeviceOrientationEvent.requestPermission === 'function';
+}
+
+/**
+ * Creates the input for one scene. `element` is the canvas, `getSettings`
+ * returns the current { maxRotation, inertia, orientation } options.
+ */
+export function createTiltInput(element, getSettings) {
+    const target = { x: 0, y: 0 };
+    const pointer = { x: 0, y: 0, inside: false };
+    const velocity = { x: 0, y: 0 };
+    let drag = null;
+    let orientationListening = false;
+    let orientationBase = null;
+
+    function updatePointer(event) {
+        const rect = element.getBoundingClientRect();
+        if (!rect.width || !rect.height) return;
+        pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        pointer.inside = Math.abs(pointer.x) <= 1 && Math.abs(pointer.y) <= 1;
+    }
+
+    // Mouse: the tilt follows the cursor position
+    // Touch and pen: dragging turns the tilt, which keeps gliding on release
+    function onPointerMove(event) {
+        const { maxRotation } = getSettings();
+
+        if (event.pointerType === 'mouse') {
+            // Relative to the canvas, so a small card tilts fully within its
+            // own box; outside it the tilt stays at the nearest edge
+            updatePointer(event);
+            target.x = -clamp(pointer.y, 1) * maxRotation;
+            target.y = clamp(pointer.x, 1) * maxRotation;
+            return;
+        }
+
+        if (!drag || drag.id !== event.pointerId) return;
+        updatePointer(event);
+
+        const rect = element.getBoundingClientRect();
+        if (!rect.width || !rect.height) return;
+        // A drag across the whole canvas sweeps the full tilt range
+        const deltaX = ((event.clientX - drag.x) / rect.width) * 2 * maxRotation;
+        const deltaY = ((event.clientY - drag.y) / rect.height) * 2 * maxRotation;
+        const frames = Math.max((event.timeStamp - drag.time) / (1000 / 60), 1);
+
+        target.x = clamp(target.x + deltaY, maxRotation);
+        target.y = clamp(target.y + deltaX, maxRotation);
+        velocity.x = deltaY / frames;
+        velocity.y = deltaX / frames;
+
+        drag.x = event.clientX;
+        drag.y = event.clientY;
+        drag.time = event.timeStamp;
+    }
+
+    function onPointerDown(event) {
+        if (event.pointerType === 'mouse') return;
+
+        drag = { id: event.pointerId, x: event.clientX, y: event.clientY, time: event.timeStamp };
+        velocity.x = 0;
+        velocity.y = 0;
+        updatePointer(event);
+    }
+
+    function onPointerUp(event) {
+        if (event.pointerType !== 'mouse' && drag && drag.id === event.pointerId) {
+            drag = null;
+            pointer.inside = false;
+
+            // Permission prompts have to come from a user gesture
+            if (getSettings().orientation && needsOrientationPermission() && !orientationListening) {
+                requestOrientation();
+            }
+        }
+    }
+
+    // Pointer left the window
+    function onPointerOut(event) {
+        if (!event.relatedTarget) pointer.inside = false;
+    }
+
+    window.addEventListener('pointermove', onPointerMove);
+    window.addEventListener('pointerup', onPointerUp);
+    window.addEventListener('pointercancel', onPointerUp);
+    element.addEventListener('pointerdown', onPointerDown);
+    document.addEventListener('pointerout', onPointerOut);
+
+    // Horizontal drags tilt the scene, vertical ones still scroll the page
+    element.style.touchAction = 'pan-y';
+
+    // Device orientation, relative to how the device was held at the start
+    function onDeviceOrientation(event) {
+        if (event.beta === null || event.gamma === null) return;
+
+        // Landscape swaps the axes
+        const angle = (screen.orientation && screen.orientation.angle) || window.orientation || 0;
+        let forward = event.beta;
+        let sideways = event.gamma;
+        if (angle === 90) [forward, sideways] = [-event.gamma, event.beta];
+        else if (angle === -90 || angle === 270) [forward, sideways] = [event.gamma, -event.beta];
+
+        if (!orientationBase) orientationBase = { forward, sideways };
+
+        const { maxRotation } = getSettings();
+        target.x = clamp(((forward - orientationBase.forward) / ORIENTATION_RANGE) * maxRotation, maxRotation);
+        target.y = clamp(((sideways - orientationBase.sideways) / ORIENTATION_RANGE) * maxRotation, maxRotation);
+    }
+
+    function startOrientation() {
+        if (orientationListening) return;
+        orientationListening = true;
+        orientationBase = null;
+        window.addEventListener('deviceorientation', onDeviceOrientation);
+    }
+
+    function stopOrientation() {
+        if (!orientationListening) return;
+        orientationListening = false;
+        window.removeEventListener('deviceorientation', onDeviceOrientation);
+    }
+
+    /**
+     * Asks for orientation access where the browser requires it (call from
+     * a click or tap handler) and starts listening if the `orientation`
+     * option is on. Resolves with whether orientation input is active.
+     */
+    function requestOrientation() {
+        if (typeof DeviceOrientationEvent === 'undefined') return Promise.resolve(false);
+        if (!needsOrientationPermission()) {
+            if (getSettings().orientation) startOrientation();
+            return Promise.resolve(orientationListening);
+        }
+
+        return DeviceOrientationEvent.requestPermission().then(
+            (state) => {
+                if (state === 'granted' && getSettings().orientation) startOrientation();
+                return orientationListening;
+            },
+            (error) => {
+                console.warn(`Device orientation unavailable: ${error.message}`);
+                return false;
+            }
+        );
+    }
+
+    /**
+     * Follows the `orientation` option: starts listening straight away when
+     * no permission is needed, otherwise waits for the first tap.
+     */
+    function syncOrientation() {
+        if (!getSettings().orientation) stopOrientation();
+        else if (!needsOrientationPermission()) requestOrientation();
+    }
+
+    /**
+     * Advances the release glide of a touch or pen drag by one frame.
+     */
+    function update() {
+        if (drag || (Math.abs(velocity.x) < INERTIA_EPSILON && Math.abs(velocity.y) < INERTIA_EPSILON)) return;
+
+        const { maxRotation, inertia } = getSettings();
+        target.x = clamp(target.x + velocity.x, maxRotation);
+        target.y = clamp(target.y + velocity.y, maxRotation);
+        velocity.x *= inertia;
+        velocity.y *= inertia;
+    }
+
+    function dispose() {
+        stopOrientation();
+        window.removeEventListener('pointermove', onPointerMove);
+        window.removeEventListener('pointerup', onPointerUp);
+        window.removeEventListener('pointercancel', onPointerUp);
+        element.removeEventListener('pointerdown', onPointerDown);
+        document.removeEventListener('pointerout', onPointerOut);
+    }
+
+    syncOrientation();
+
+    return { target, pointer, update, requestOrientation, syncOrientation, dispose };
+}
@@ -0,0 +1,206 @@
+/**
+ * Declarative mounting: every element with a `data-nvd-animation` attribute
+ * gets the named animation, configured from its other `data-nvd-*`
+ * attributes.
+ *
+ *   <div data-nvd-animation="lock" data-nvd-color="#fff" data-nvd-particles="20000"></div>
+ *   <script type="module" src="animations/loader.js"></script>
+ *
+ * Attribute names map to options in camelCase (`data-nvd-offscreen-fps` →
+ * `offscreenFps`), values are parsed as JSON when possible so numbers,
+ * arrays and nested objects work (`data-nvd-camera='{"fov": 40}'`).
+ * Elements added later are mounted automatically, removed ones destroyed,
+ * and changed attributes are applied with setOptions().
+ */
+
+const PREFIX = 'data-nvd-';
+const SELECTOR = '[data-nvd-animation]';
+
+// Animation name (shape name or page name) → module and init function
+const ANIMATIONS = {
+    ring: { load: () => import('./home.js'), init: 'initHomeAnimation' },
+    logo: { load: () => import('./about.js'), init: 'initAboutAnimation' },
+    user: { load: () => import('./surveillance.js'), init: 'initSurveillanceAnimation' },
+    lock: { load: () => import('./familyoffice.js'), init: 'initFamilyOfficeAnimation' },
+    globe: { load: () => import('./alarmcentrale.js'), init: 'initAlarmcentraleAnimation' },
+    text: { load: () => import('./text.js'), init: 'initTextAnimation' },
+    model: { load: () => import('./model.js'), init: 'initModelAnimation' },
+};
+ANIMATIONS.home = ANIMATIONS.ring;
+ANIMATIONS.about = ANIMATIONS.logo;
+ANIMATIONS.surveillance = ANIMATIONS.user;
+ANIMATIONS.familyoffice = ANIMATIONS.lock;
+ANIMATIONS.alarmcentrale = ANIMATIONS.globe;
+
+// Shorthand attribute names
+const OPTION_ALIASES = {
+    particles: 'particleCount',
+};
+
+// Element → Promise of its controller
+const mounted = new Map();
+
+// data-nvd-offscreen-fps → offscreenFps
+function toOptionName(attributeName) {
+    const key = attributeName.slice(PREFIX.length).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    return OPTION_ALIASES[key] || key;
+}
+
+function parseValue(value) {
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * Reads the options for an element from its `data-nvd-*` attributes.
+ */
+export function readOptions(element) {
+    const options = {};
+
+    Array.from(element.attributes).forEach(({ name, value }) => {
+        if (!name.startsWith(PREFIX) || name === 'data-nvd-animation') return;
+
+        options[toOptionName(name)] = parseValue(value);
+    });
+
+    return options;
+}
+
+/**
+ * Mounts the animation named by the element's `data-nvd-animation`
+ * attribute. Resolves with the controller, or null when the name is
+ * unknown or the animation fails to load or start. Mounting an element
+ * twice returns the existing animation.
+ */
+export function mountAnimation(element) {
+    if (mounted.has(element)) return mounted.get(element);
+
+    const name = element.getAttribute('data-nvd-animation');
+    const animation = ANIMATIONS[name];
+    if (!animation) {
+        console.error(`Unknown animation "${name}", expected one of: ${Object.keys(ANIMATIONS).join(', ')}`);
+        return Promise.resolve(null);
+    }
+
+    const pending = animation.load()
+        .then((module) => {
+            // Removed (or remounted) while the module was loading
+            if (mounted.get(element) !== pending) return null;
+            return module[animation.init](element, readOptions(element)) || null;
+        })
+        .catch((error) => {
+            // A failed import or init never leaves a rejected promise behind
+            console.error(`Could not mount animation "${name}": ${error.message}`);
+            return null;
+        });
+    mounted.set(element, pending);
+
+    return pending;
+}
+
+/**
+ * Destroys the animation mounted on an element, if any.
+ */
+export function unmountAnimation(element) {
+    const pending = mounted.get(element);
+    if (!pending) return;
+
+    mounted.delete(element);
+    pending.then((controller) => {
+        if (controller) controller.destroy();
+    });
+}
+
+/**
+ * Returns a Promise of the controller mounted on an element, or undefined.
+ */
+export function getAnimation(element) {
+    return mounted.get(element);
+}
+
+/**
+ * Mounts every `data-nvd-animation` element in `root` (including root).
+ */
+export function mountAnimations(root = document) {
+    const elements = Array.from(root.querySelectorAll(SELECTOR));
+    if (root.matches && root.matches(SELECTOR)) elements.unshift(root);
+    return Promise.all(elements.map(mountAnimation));
+}
+
+function forEachMounted(root, callback) {
+    mounted.forEach((pending, element) => {
+        if (root === element || root.contains(element)) callback(element);
+    });
+}
+
+function onAttributeChange(element, name) {
+    const pending = mounted.get(element);
+
+    // A new animation, or a removed option that should fall back to its
+    // default: start over from the attributes
+    if (name === 'data-nvd-animation' || (pending && !element.hasAttribute(name))) {
+        unmountAnimation(element);
+        if (element.hasAttribute('data-nvd-animation')) mountAnimation(element);
+        return;
+    }
+
+    if (!pending) return;
+
+    pending.then((controller) => {
+        if (!controller) return;
+        controller.setOptions(readOptions(element));
+    });
+}
+
+const observer = typeof MutationObserver !== 'undefined'
+    ? new MutationObserver((mutations) => {
+        mutations.forEach((mutation) => {
+            if (mutation.type === 'attributes') {
+                if (mutation.attributeName.startsWith(PREFIX)) {
+                    onAttributeChange(mutation.target, mutation.attributeName);
+                }
+                return;
+            }
+
+            mutation.removedNodes.forEach((node) => {
+                if (node.nodeType !== Node.ELEMENT_NODE) return;
+                // Moved elsewhere in the document: keep the animation running
+                forEachMounted(node, (element) => {
+                    if (!element.isConnected) unmountAnimation(element);
+                });
+            });
+            mutation.addedNodes.forEach((node) => {
+                if (node.nodeType === Node.ELEMENT_NODE) mountAnimations(node);
+            });
+        });
+    })
+    : null;
+
+/**
+ * Mounts the current elements and keeps watching the document for new,
+ * removed and reconfigured ones. Called automatically on import.
+ */
+export function startLoader() {
+    mountAnimations();
+    if (observer) {
+        observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true });
+    }
+}
+
+/**
+ * Stops watching the document. Mounted animations keep running.
+ */
+export function stopLoader() {
+    if (observer) observer.disconnect();
+}
+
+if (typeof document !== 'undefined') {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', startLoader, { once: true });
+    } else {
+        startLoader();
+    }
+}
@@ -0,0 +1,256 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'https://unpkg.com/three@0.160.0/examples/jsm/loaders/GLTFLoader.js';
+import { OBJLoader } from 'https://unpkg.com/three@0.160.0/examples/jsm/loaders/OBJLoader.js';
+import { getContainer, createPointCloud, createParticleScene, SCENE_DEFAULTS } from './particle-scene.js';
+import { mergeOptions, rules } from './options.js';
+import { random } from './random.js';
+import { DISTRIBUTIONS, createTriangleSampler, sampleTriangles } from './sampling.js';
+
+/**
+ * 3D models (glTF/GLB or OBJ) as particle shapes, so new hero icons can come
+ * straight from a 3D artist instead of hand-written geometry.
+ *
+ * Particles are spread over the mesh surface by triangle area, or through
+ * its volume by rejection sampling against an inside test (which needs a
+ * closed, watertight mesh). The model is centred on its bounding box and
+ * scaled so its longest side spans MODEL_SIZE units, about the size of the
+ * built-in shapes.
+ */
+
+export const MODEL_SIZE = 80;
+export const SAMPLING_MODES = ['surface', 'volume'];
+
+// Inside test: triangles binned on a grid over the YZ plane
+const INSIDE_GRID_SIZE = 64;
+const VOLUME_ATTEMPTS = 50; // Rejection attempts per particle before using a surface point
+
+// Default configuration
+const DEFAULT_CONFIG = mergeOptions(SCENE_DEFAULTS, {
+    particleCount: 20000,
+    model: null, // glTF/GLB or OBJ URL, or a loaded THREE.Object3D
+    sampling: 'surface', // 'surface' | 'volume'
+    distribution: 'random', // 'random' | 'blue-noise' (surface only)
+    modelScale: 1.0,
+});
+
+const OPTION_RULES = {
+    particleCount: rules.positiveInteger,
+    model: (value) => Boolean(value && value.isObject3D),
+    sampling: rules.oneOf(...SAMPLING_MODES),
+    distribution: rules.oneOf(...DISTRIBUTIONS),
+    modelScale: rules.positive,
+};
+
+/**
+ * Resolves with the scene of a glTF/GLB or OBJ file. Loaded objects pass
+ * through.
+ */
+export async function loadModel(source) {
+    if (source && source.isObject3D) return source;
+
+    const extension = source.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    if (extension === 'obj') return new OBJLoader().loadAsync(source);
+    if (extension === 'gltf' || extension === 'glb') return (await new GLTFLoader().loadAsync(source)).scene;
+
+    throw new Error(`Unsupported model format ".${extension}", expected .gltf, .glb or .obj`);
+}
+
+/**
+ * Collects every mesh triangle of an object, in world space, as a flat
+ * array of corner coordinates.
+ */
+export function collectTriangles(object) {
+    const vertices = [];
+    const corner = new THREE.Vector3();
+
+    object.updateMatrixWorld(true);
+    object.traverse((child) => {
+        if (!child.isMesh || !child.geometry.getAttribute('position')) return;
+
+        const position = child.geometry.getAttribute('position');
+        const index = child.geometry.index;
+        const cornerCount = index ? index.count : position.count;
+
+        for (let i = 0; i < cornerCount; i++) {
+            corner.fromBufferAttribute(position, index ? index.getX(i) : i).applyMatrix4(child.matrixWorld);
+            vertices.push(corner.x, corner.y, corner.z);
+        }
+    });
+
+    return new Float32Array(vertices);
+}
+
+// Parity test: a ray from the point towards +x crosses a closed surface an
+// odd number of times when the point is inside
+function createInsideTest(triangles, bounds) {
+    const triangleCount = triangles.length / 9;
+    const minY = bounds.min.y;
+    const minZ = bounds.min.z;
+    const cellY = (bounds.max.y - minY) / INSIDE_GRID_SIZE || 1;
+    const cellZ = (bounds.max.z - minZ) / INSIDE_GRID_SIZE || 1;
+    const cells = Array.from({ length: INSIDE_GRID_SIZE * INSIDE_GRID_SIZE }, () => []);
+
+    const toCell = (value, min, size) => Math.min(Math.max(Math.floor((value - min) / size), 0), INSIDE_GRID_SIZE - 1);
+
+    for (let t = 0; t < triangleCount; t++) {
+        const i = t * 9;
+        const y0 = toCell(Math.min(triangles[i + 1], triangles[i + 4], triangles[i + 7]), minY, cellY);
+        const y1 = toCell(Math.max(triangles[i + 1], triangles[i + 4], triangles[i + 7]), minY, cellY);
+        const z0 = toCell(Math.min(triangles[i + 2], triangles[i + 5], triangles[i + 8]), minZ, cellZ);
+        const z1 = toCell(Math.max(triangles[i + 2], triangles[i + 5], triangles[i + 8]), minZ, cellZ);
+        for (let y = y0; y <= y1; y++) {
+            for (let z = z0; z <= z1; z++) cells[y * INSIDE_GRID_SIZE + z].push(t);
+        }
+    }
+
+    return (x, y, z) => {
+        const cell = cells[toCell(y, minY, cellY) * INSIDE_GRID_SIZE + toCell(z, minZ, cellZ)];
+        let crossings = 0;
+
+        for (let k = 0; k < cell.length; k++) {
+            const i = cell[k] * 9;
+            // Barycentric coordinates of (y, z) in the triangle projected on YZ
+            const ay = triangles[i + 1], az = triangles[i + 2];
+            const by = triangles[i + 4] - ay, bz = triangles[i + 5] - az;
+            const cy = triangles[i + 7] - ay, cz = triangles[i + 8] - az;
+            const py = y - ay, pz = z - az;
+            const det = by * cz - bz * cy;
+            if (det === 0) continue;
+
+            const u = (py * cz - pz * cy) / det;
+            const v = (by * pz - bz * py) / det;
+            if (u < 0 || v < 0 || u + v > 1) continue;
+
+            // Where the ray's line meets the triangle
+            const hitX = triangles[i] + u * (triangles[i + 3] - triangles[i]) + v * (triangles[i + 6] - triangles[i]);
+            if (hitX > x) crossings++;
+        }
+
+        return crossings % 2 === 1;
+    };
+}
+
+/**
+ * Builds a cloud from the meshes of a loaded object.
+ *
+ *   count        - number of particles
+ *   sampling     - 'surface' (area-weighted on the triangles) or 'volume'
+ *                  (inside a closed mesh)
+ *   distribution - 'random' or 'blue-noise' for surface sampling, see sampleTriangles
+ *   scale        - multiplier on the normalised size
+ */
+export function particlesFromObject(object, {
+    count = 20000,
+    sampling = 'surface',
+    distribution = 'random',
+    scale = 1,
+} = {}) {
+    const triangles = collectTriangles(object);
+    if (triangles.length === 0) {
+        console.warn('Model has no meshes to place particles on');
+        return createPointCloud(0);
+    }
+
+    const bounds = new THREE.Box3();
+    const corner = new THREE.Vector3();
+    for (let i = 0; i < triangles.length; i += 3) {
+        bounds.expandByPoint(corner.fromArray(triangles, i));
+    }
+    const center = bounds.getCenter(new THREE.Vector3());
+    const extent = bounds.getSize(new THREE.Vector3());
+    const unit = (MODEL_SIZE / Math.max(extent.x, extent.y, extent.z, 1e-6)) * scale;
+
+    const cloud = createPointCloud(count);
+    const { positions, opacities, sizes } = cloud;
+
+    if (sampling === 'volume') {
+        const isInside = createInsideTest(triangles, bounds);
+        const surface = createTriangleSampler(triangles);
+        for (let i = 0; i < count; i++) {
+            let placed = false;
+            for (let attempt = 0; attempt < VOLUME_ATTEMPTS && !placed; attempt++) {
+                positions[i * 3] = bounds.min.x + random() * extent.x;
+                positions[i * 3 + 1] = bounds.min.y + random() * extent.y;
+                positions[i * 3 + 2] = bounds.min.z + random() * extent.z;
+                placed = isInside(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+            }
+
+            // Thin or open mesh: fall back to the surface
+            if (!placed) surface.pointInTriangle(surface.pickTriangle(), positions, i * 3);
+        }
+    } else {
+        sampleTriangles(triangles, count, { distribution, positions });
+    }
+
+    for (let i = 0; i < count; i++) {
+        // Centre and normalise
+        positions[i * 3] = (positions[i * 3] - center.x) * unit;
+        positions[i * 3 + 1] = (positions[i * 3 + 1] - center.y) * unit;
+        positions[i * 3 + 2] = (positions[i * 3 + 2] - center.z) * unit;
+
+        // Slight gradient based on Y (brighter at top)
+        const normalizedY = extent.y > 0 ? (positions[i * 3 + 1] / (extent.y * unit)) + 0.5 : 1;
+        opacities[i] = 0.3 + normalizedY * 0.4;
+        sizes[i] = 0.9 + random() * 0.6;
+    }
+
+    return cloud;
+}
+
+/**
+ * Builds a cloud from a glTF/GLB or OBJ URL (or a loaded object). Resolves
+ * with the cloud; see particlesFromObject for the options.
+ */
+export async function particlesFromModel(source, options = {}) {
+    return particlesFromObject(await loadModel(source), options);
+}
+
+// Model filled or covered with particles
+function createModelCloud(config) {
+    return particlesFromObject(config.model, {
+        count: config.particleCount,
+        sampling: config.sampling,
+        distribution: config.distribution,
+        scale: config.modelScale,
+    });
+}
+
+/**
+ * Mounts a model animation. The model loads asynchronously, so this
+ * resolves with the controller (null on failure). setOptions() accepts a
+ * model URL too: it then returns a Promise, resolved once the model has
+ * loaded and the options are applied.
+ */
+export function initModelAnimation(containerId, options = {}) {
+    const container = getContainer(containerId);
+    if (!container) return Promise.resolve(null);
+    if (!options.model) {
+        console.error('initModelAnimation needs a `model` URL or object');
+        return Promise.resolve(null);
+    }
+
+    const onError = (source) => (error) => {
+        console.error(`Could not load model ${source}: ${error.message}`);
+        return null;
+    };
+
+    return loadModel(options.model).then((model) => {
+        const controller = createParticleScene(container, {
+            defaults: DEFAULT_CONFIG,
+            rules: OPTION_RULES,
+            options: { ...options, model },
+            createCloud: createModelCloud,
+        });
+
+        const applyOptions = controller.setOptions;
+        controller.setOptions = (newOptions = {}) => {
+            if (typeof newOptions.model !== 'string') return applyOptions(newOptions);
+            return loadModel(newOptions.model).then(
+                (loaded) => applyOptions({ ...newOptions, model: loaded }),
+                onError(newOptions.model)
+            );
+        };
+
+        return controller;
+    }, onError(options.model));
+}
@@ -0,0 +1,94 @@
+/**
+ * Shape registry and helpers for morphing one particle cloud into another.
+ *
+ * Every animation module registers its shape generator under a short name
+ * ('ring', 'logo', 'user', 'lock', 'globe'), so any scene can morph into a
+ * shape as long as the module that provides it has been imported.
+ */
+
+const shapes = new Map();
+
+export const EASINGS = {
+    linear: (t) => t,
+    easeInCubic: (t) => t * t * t,
+    easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+};
+
+/**
+ * Registers a generator `(count) => cloud` under a shape name.
+ */
+export function registerShape(name, generator) {
+    shapes.set(name, generator);
+}
+
+/**
+ * Generates a registered shape with exactly `count` particles.
+ */
+export function createShapeCloud(name, count) {
+    const generator = shapes.get(name);
+    if (!generator) {
+        throw new Error(`Unknown shape "${name}" - import the animation module that registers it`);
+    }
+    return resampleCloud(generator(count), count);
+}
+
+/**
+ * Accepts a full cloud or a bare `{ positions }` point list and fills in
+ * the missing count, opacities and sizes.
+ */
+export function toCloud(input) {
+    const count = input.count ?? input.positions.length / 3;
+    const opacities = input.opacities || new Float32Array(count).fill(0.8);
+    const sizes = input.sizes || new Float32Array(count).fill(1.2);
+    return { ...input, count, opacities, sizes };
+}
+
+/**
+ * Returns a cloud with exactly `count` particles. Points are picked at an
+ * even stride so generators that lay out their parts in sequence (ring then
+ * core, body then shackle) keep the same proportions.
+ */
+export function resampleCloud(cloud, count) {
+    if (cloud.count === count) return cloud;
+
+    const positions = new Float32Array(count * 3);
+    const opacities = new Float32Array(count);
+    const sizes = new Float32Array(count);
+    const attributes = {};
+
+    const parts = cloud.parts ? { names: cloud.parts.names, index: new Uint8Array(count) } : undefined;
+
+    Object.entries(cloud.attributes || {}).forEach(([name, attribute]) => {
+        attributes[name] = { ...attribute, array: new Float32Array(count * attribute.itemSize) };
+    });
+
+    for (let i = 0; i < count; i++) {
+        const src = Math.floor((i * cloud.count) / count);
+
+        positions[i * 3] = cloud.positions[src * 3];
+        positions[i * 3 + 1] = cloud.positions[src * 3 + 1];
+        positions[i * 3 + 2] = cloud.positions[src * 3 + 2];
+        opacities[i] = cloud.opacities[src];
+        sizes[i] = cloud.sizes[src];
+        if (parts) parts.index[i] = cloud.parts.index[src];
+
+        Object.entries(attributes).forEach(([name, { array, itemSize }]) => {
+            const source = cloud.attributes[name].array;
+            for (let k = 0; k < itemSize; k++) {
+                array[i * itemSize + k] = source[src * itemSize + k];
+            }
+        });
+    }
+
+    return { ...cloud, count, positions, opacities, sizes, parts, attributes };
+}
+
+/**
+ * Resolves an easing name or function, falling back to easeInOutCubic.
+ */
+export function resolveEasing(easing) {
+    if (typeof easing === 'function') return easing;
+    return EASINGS[easing] || EASINGS.easeInOutCubic;
+}
@@ -0,0 +1,117 @@
+/**
+ * Option merging and validation shared by every init*Animation.
+ *
+ * Options are deep-merged over the module defaults: plain objects merge key
+ * by key, everything else (numbers, strings, arrays, elements) replaces the
+ * default. Invalid values are reported and replaced by the default so a bad
+ * attribute or typo never takes the hero down.
+ */
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Returns a new object with `options` deep-merged over `defaults`.
+ * `undefined` values are ignored so callers can pass sparse objects.
+ * Top-level keys listed in `values` hold whole values (a palette, loaded
+ * data) that are replaced rather than merged into.
+ */
+export function mergeOptions(defaults, options = {}, values = []) {
+    const merged = {};
+
+    // Copy nested defaults so validation never writes into the shared object
+    Object.entries(defaults).forEach(([key, value]) => {
+        merged[key] = isPlainObject(value) ? mergeOptions(value) : value;
+    });
+
+    Object.entries(options).forEach(([key, value]) => {
+        if (value === undefined) return;
+        merged[key] = isPlainObject(value) && isPlainObject(defaults[key]) && !values.includes(key)
+            ? mergeOptions(defaults[key], value)
+            : value;
+    });
+
+    return merged;
+}
+
+// Validators: return true when the value is acceptable
+export const rules = {
+    positive: (value) => typeof value === 'number' && Number.isFinite(value) && value > 0,
+    positiveInteger: (value) => Number.isInteger(value) && value > 0,
+    nonNegativeInteger: (value) => Number.isInteger(value) && value >= 0,
+    nonNegative: (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0,
+    number: (value) => typeof value === 'number' && Number.isFinite(value),
+    unit: (value) => typeof value === 'number' && value >= 0 && value <= 1,
+    color: (value) => (typeof value === 'number' && value >= 0 && value <= 0xffffff) || typeof value === 'string',
+    vector3: (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite),
+    oneOf: (...allowed) => (value) => allowed.includes(value),
+};
+
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setPath(object, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    keys.reduce((target, key) => target[key], object)[last] = value;
+}
+
+// Groups of options (mouse, camera, ...) replaced by a scalar, null or array
+// go back to their defaults as a whole, before the dotted paths below are
+// read or written through them. Only groups on those paths count: other
+// object values, such as image pixels, are data rather than groups.
+function resetNonObjects(config, defaults, paths, prefix = '') {
+    Object.entries(defaults).forEach(([key, fallback]) => {
+        const group = `${prefix}${key}.`;
+        if (!isPlainObject(fallback) || !paths.some((path) => path.startsWith(group))) return;
+
+        if (!isPlainObject(config[key])) {
+            console.warn(`Invalid option ${prefix}${key}: ${JSON.stringify(config[key])}, using ${JSON.stringify(fallback)}`);
+            config[key] = mergeOptions(fallback);
+            return;
+        }
+        resetNonObjects(config[key], fallback, paths, group);
+    });
+}
+
+/**
+ * Checks `config` against `{ 'dotted.path': validator }` and resets any
+ * invalid value to the one in `defaults`, with a warning. Mutates and
+ * returns `config`.
+ */
+export function validateOptions(config, defaults, validators) {
+    resetNonObjects(config, defaults, Object.keys(validators));
+
+    Object.entries(validators).forEach(([path, isValid]) => {
+        const value = getPath(config, path);
+        if (isValid(value)) return;
+
+        const fallback = getPath(defaults, path);
+        console.warn(`Invalid option ${path}: ${JSON.stringify(value)}, using ${JSON.stringify(fallback)}`);
+        setPath(config, path, fallback);
+    });
+
+    return config;
+}
+
+/**
+ * Lists the top-level keys whose values differ between two configs.
+ */
+export function changedKeys(previous, next) {
+    const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+    return [...keys].filter((key) => !isEqual(previous[key], next[key]));
+}
+
+function isEqual(a, b) {
+    if (a === b) return true;
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((value, i) => isEqual(value, b[i]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+        return [...keys].every((key) => isEqual(a[key], b[key]));
+    }
+    return false;
+}
@@ -0,0 +1,135 @@
+import * as THREE from 'three';
+
+/**
+ * Particle colours: every particle carries its own colour, filled in from a
+ * colour definition when a cloud is built. A definition is one of:
+ *
+ *   0xadadad | '#adadad'                       - one colour for the whole shape
+ *   { type: 'axis', axis: 'y', stops: [...] }  - gradient along x, y or z,
+ *                                                from the shape's lowest to
+ *                                                its highest point
+ *   { type: 'radial', stops: [...] }           - gradient from the centre out
+ *                                                to the farthest particle
+ *   { type: 'parts', colors: {...} | [...],    - per named shape part (lock
+ *     fallback }                                 'body'/'shackle', ...), by
+ *                                                name or in the shape's part
+ *                                                order; each entry is itself
+ *                                                a definition, unlisted parts
+ *                                                get `fallback` (default: the
+ *                                                first entry)
+ *
+ * Gradient stops are colours spread evenly from start to end. Named presets
+ * live in PALETTES and can be used wherever a definition is accepted.
+ */
+
+export const PALETTES = {
+    // The original single silver
+    silver: 0xadadad,
+    // Brighter second part: ring, lock shackle, user head, globe satellites
+    twoTone: { type: 'parts', colors: ['#8a8f98', '#f4f5f7'] },
+    // Cool blue-grey rising to white
+    frost: { type: 'axis', axis: 'y', stops: ['#4a5a78', '#aab8cc', '#f2f6fb'] },
+    // Warm core fading to deep amber at the edges
+    ember: { type: 'radial', stops: ['#ffe7c2', '#f59f45', '#a8430f'] },
+    // Silver with a signal-red accent part
+    signal: { type: 'parts', colors: ['#adadad', '#ff3b30'] },
+};
+
+export const PALETTE_TYPES = ['axis', 'radial', 'parts'];
+
+const AXES = { x: 0, y: 1, z: 2 };
+
+/**
+ * Resolves a palette option (preset name, definition or null) to a
+ * definition, with `baseColor` standing in for null.
+ */
+export function resolvePalette(palette, baseColor) {
+    if (palette === null || palette === undefined) return baseColor;
+    if (typeof palette === 'string' && palette in PALETTES) return PALETTES[palette];
+    return palette;
+}
+
+/**
+ * Whether a value can be used as a palette option.
+ */
+export function isPalette(value) {
+    if (value === null || typeof value === 'number') return true;
+    if (typeof value === 'string') return true;
+    return Boolean(value) && typeof value === 'object' && PALETTE_TYPES.includes(value.type);
+}
+
+// Colours spread evenly over 0..1, sampled with linear blending
+function createStops(stops) {
+    const colors = (Array.isArray(stops) && stops.length > 0 ? stops : [0xffffff]).map((stop) => new THREE.Color(stop));
+
+    return (t, out) => {
+        const position = Math.min(Math.max(t, 0), 1) * (colors.length - 1);
+        const index = Math.min(Math.floor(position), colors.length - 2);
+        if (index < 0) return out.copy(colors[0]);
+        return out.lerpColors(colors[index], colors[index + 1], position - index);
+    };
+}
+
+// Turns a definition into a (index, out) => out colour function for a cloud
+function compile(definition, cloud) {
+    const { positions, count } = cloud;
+
+    if (typeof definition === 'number' || typeof definition === 'string') {
+        const color = new THREE.Color(definition);
+        return (i, out) => out.copy(color);
+    }
+
+    if (definition.type === 'axis') {
+        const axis = AXES[definition.axis] ?? AXES.y;
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < count; i++) {
+            min = Math.min(min, positions[i * 3 + axis]);
+            max = Math.max(max, positions[i * 3 + axis]);
+        }
+        const range = max - min || 1;
+        const sample = createStops(definition.stops);
+        return (i, out) => sample((positions[i * 3 + axis] - min) / range, out);
+    }
+
+    if (definition.type === 'radial') {
+        let maxRadius = 0;
+        for (let i = 0; i < count; i++) {
+            maxRadius = Math.max(maxRadius, Math.hypot(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]));
+        }
+        const sample = createStops(definition.stops);
+        return (i, out) => sample(Math.hypot(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]) / (maxRadius || 1), out);
+    }
+
+    if (definition.type === 'parts') {
+        const { names = [], index = null } = cloud.parts || {};
+        const colors = definition.colors || {};
+        const fallback = compile(definition.fallback ?? Object.values(colors)[0] ?? 0xffffff, cloud);
+        const byPart = names.map((name, part) => {
+            const entry = Array.isArray(colors) ? colors[part] : colors[name];
+            return entry === undefined ? fallback : compile(entry, cloud);
+        });
+        return (i, out) => (index && byPart[index[i]] ? byPart[index[i]] : fallback)(i, out);
+    }
+
+    console.warn(`Unknown palette type "${definition.type}", expected one of: ${PALETTE_TYPES.join(', ')}`);
+    return compile(0xffffff, cloud);
+}
+
+/**
+ * Writes the colour of every particle of `cloud` ({ positions, count,
+ * parts }) into `target` as linear RGB triplets.
+ */
+export function fillColors(target, cloud, definition) {
+    const colorAt = compile(definition, cloud);
+    const color = new THREE.Color();
+
+    for (let i = 0; i < cloud.count; i++) {
+        colorAt(i, color);
+        target[i * 3] = color.r;
+        target[i * 3 + 1] = color.g;
+        target[i * 3 + 2] = color.b;
+    }
+
+    return target;
+}
@@ -0,0 +1,1022 @@
+import * as THREE from 'three';
+import { createCanvasRenderer } from './canvas-renderer.js';
+import { createPointerField, FIELD_MODES } from './field.js';
+import { createTiltInput } from './input.js';
+import { createShapeCloud, resampleCloud, resolveEasing, toCloud } from './morph.js';
+import { changedKeys, mergeOptions, rules, validateOptions } from './options.js';
+import { fillColors, isPalette, resolvePalette } from './palette.js';
+import { applyBlending, BLENDING_MODES, resolveBlending } from './blending.js';
+import { createRandom, random, withRandom } from './random.js';
+
+/**
+ * Shared particle scene used by every hero animation.
+ *
+ * Each animation only supplies its point cloud (positions, opacities, sizes)
+ * and an optional per-frame hook. Renderer, camera, shader, mouse rotation,
+ * resizing, the organic float and the lifecycle controls all live here.
+ */
+
+// 'auto' follows prefers-reduced-motion ('reduced' when the user asks for it)
+const MOTION_LEVELS = ['auto', 'full', 'reduced', 'none'];
+
+/**
+ * Scene options shared by every animation. Each module merges its shape
+ * parameters (and any overrides) over these to form its defaults.
+ */
+export const SCENE_DEFAULTS = {
+    color: 0xadadad,
+    palette: null, // Preset name or colour definition (see palette.js); null uses `color`
+    blending: 'auto', // 'additive' | 'normal' | 'multiply' | 'auto' (from the background)
+    motion: 'auto',
+    offscreen: 'pause',
+    offscreenFps: 10,
+    seed: null, // Number or string for the same layout and drift on every load (null: random)
+    timeScale: 1, // Animation clock speed (0 freezes it)
+    mouse: {
+        maxRotation: 0.12, // Tilt limit in radians
+        smoothing: 0.025,
+        inertia: 0.92, // Share of a touch drag's speed kept per frame after release
+        orientation: false, // Tilt with the device orientation (asks permission on first tap where required)
+    },
+    camera: {
+        fov: 50,
+        fit: 0.9, // Share of the smaller view side the shape's bounding sphere spans
+    },
+    float: {
+        step: 0.008, // Time added per frame
+        amplitude: [0.5, 0.5, 0.3],
+    },
+    field: {
+        mode: 'none', // Cursor field: 'none' | 'repel' | 'attract'
+        radius: 12, // Reach around the cursor, in scene units
+        strength: 0.6, // Push per frame at the cursor, fading out to the radius
+        stiffness: 0.05, // Spring pulling particles back into the shape
+        damping: 0.85, // Velocity kept per frame
+    },
+};
+
+const SCENE_RULES = {
+    color: rules.color,
+    palette: isPalette,
+    blending: rules.oneOf(...BLENDING_MODES),
+    motion: rules.oneOf(...MOTION_LEVELS),
+    offscreen: rules.oneOf('pause', 'throttle'),
+    offscreenFps: rules.positive,
+    seed: (value) => value === null || rules.number(value) || typeof value === 'string',
+    timeScale: rules.nonNegative,
+    'mouse.maxRotation': rules.nonNegative,
+    'mouse.smoothing': rules.unit,
+    'mouse.inertia': rules.unit,
+    'mouse.orientation': (value) => typeof value === 'boolean',
+    'camera.fov': rules.positive,
+    'camera.fit': rules.positive,
+    'float.step': rules.nonNegative,
+    'float.amplitude': rules.vector3,
+    'field.mode': rules.oneOf(...FIELD_MODES),
+    'field.radius': rules.positive,
+    'field.strength': rules.nonNegative,
+    'field.stiffness': rules.unit,
+    'field.damping': rules.unit,
+};
+
+// Reference frame length the per-frame float step was tuned for
+const FRAME_MS = 1000 / 60;
+
+// Share of the remaining distance the camera covers per frame when the
+// framed shape changes size
+const CAMERA_EASING = 0.05;
+
+// Radius of the origin-centred bounding sphere of a cloud (the scene tilts
+// and rotates around the origin, so that is the sphere to keep in view)
+function getCloudRadius(positions) {
+    let radiusSq = 0;
+    for (let i = 0; i < positions.length; i += 3) {
+        const x = positions[i];
+        const y = positions[i + 1];
+        const z = positions[i + 2];
+        radiusSq = Math.max(radiusSq, x * x + y * y + z * z);
+    }
+    return Math.sqrt(radiusSq);
+}
+
+// Camera distance at which every point of a cloud stays within `fit` of the
+// view's half-width and half-height. Width and height are framed against
+// their own view angles, so wide shapes fill landscape views and tall ones
+// portrait views. Depth counts (nearer points look bigger), with each point
+// allowed to swing towards the camera on the sphere through it by up to
+// `tilt` radians, the most the pointer can turn the shape
+function getFitDistance(positions, camera, fit, tilt) {
+    const halfHeight = Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) * fit;
+    const halfWidth = halfHeight * camera.aspect;
+    const swing = Math.sin(Math.min(Math.abs(tilt), Math.PI / 2));
+
+    let distance = 1;
+    for (let i = 0; i < positions.length; i += 3) {
+        const x = Math.abs(positions[i]);
+        const y = Math.abs(positions[i + 1]);
+        const depth = positions[i + 2] + Math.hypot(x, y) * swing;
+        distance = Math.max(distance, x / halfWidth + depth, y / halfHeight + depth);
+    }
+    return distance;
+}
+
+/**
+ * Looks up the container element for an animation, given its id or the
+ * element itself. Logs and returns null when the element does not exist.
+ */
+export function getContainer(containerId) {
+    const container = typeof containerId === 'string' ? document.getElementById(containerId) : containerId;
+    if (!container) {
+        console.error(`Container #${containerId} not found`);
+        return null;
+    }
+    return container;
+}
+
+/**
+ * Allocates the per-point buffers a shape generator fills in. Shapes made of
+ * distinct parts name them in `partNames` and set each point's index into
+ * that list in `parts.index`, for per-part palettes.
+ */
+export function createPointCloud(count, partNames = null) {
+    const cloud = {
+        count,
+        positions: new Float32Array(count * 3),
+        opacities: new Float32Array(count),
+        sizes: new Float32Array(count),
+    };
+    if (partNames) cloud.parts = { names: partNames, index: new Uint8Array(count) };
+    return cloud;
+}
+
+/**
+ * Point material shared by all animations: round soft-edged points,
+ * per-point colour, opacity and size, scaled by depth. The organic float drift is
+ * computed here from the floatOffset/floatSpeed attributes and the uTime
+ * uniform, so the position buffer never has to be re-uploaded. Morphing
+ * blends each point towards the morph* attributes by uMorph, with an
+ * optional outward scatter that peaks halfway. The cursor field's offset
+ * arrives in the displacement attribute (see field.js).
+ *
+ * `shader` lets an animation extend the vertex stage:
+ *   uniforms     - extra uniforms merged into the material
+ *   declarations - GLSL attributes/uniforms/functions added before main()
+ *   opacity      - GLSL run at the start of main() that may rewrite vOpacity
+ *                  (and tint vColor)
+ *   cpuOpacity   - (index, opacity, uniforms, geometry) => opacity, the same
+ *                  effect for the Canvas2D fallback renderer
+ *   cpuColor     - (index, color, uniforms, geometry), tints the THREE.Color
+ *                  in place, the fallback for vColor changes
+ */
+export function createParticleMaterial(shader = {}) {
+    const { uniforms = {}, declarations = '', opacity = '', cpuOpacity = null, cpuColor = null } = shader;
+
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            pointSize: { value: 2.0 },
+            uTime: { value: 0 },
+            uFloatAmplitude: { value: new THREE.Vector3(0.5, 0.5, 0.3) },
+            uMorph: { value: 0 },
+            uScatter: { value: 0 },
+            ...uniforms
+        },
+        vertexShader: `
+            attribute float opacity;
+            attribute float size;
+            attribute vec3 floatOffset;
+            attribute float floatSpeed;
+            attribute vec3 morphPosition;
+            attribute float morphOpacity;
+            attribute float morphSize;
+            attribute vec3 displacement;
+            attribute vec3 color;
+            attribute vec3 morphColor;
+            varying float vOpacity;
+            varying vec3 vColor;
+            varying float vDepth;
+            uniform float pointSize;
+            uniform float uTime;
+            uniform vec3 uFloatAmplitude;
+            uniform float uMorph;
+            uniform float uScatter;
+            ${declarations}
+
+            void main() {
+                vOpacity = mix(opacity, morphOpacity, uMorph);
+                vColor = mix(color, morphColor, uMorph);
+                ${opacity}
+
+                // Morph towards the target shape, scattering outwards midway
+                vec3 scatter = normalize(floatOffset - 3.14159265) * uScatter * sin(uMorph * 3.14159265);
+                vec3 basePosition = mix(position, morphPosition, uMorph) + scatter;
+
+                // Subtle organic floating movement for each particle
+                vec3 drift = vec3(
+                    sin(uTime * floatSpeed + floatOffset.x),
+                    sin(uTime * floatSpeed * 0.8 + floatOffset.y),
+                    sin(uTime * floatSpeed * 0.6 + floatOffset.z)
+                ) * uFloatAmplitude;
+
+                // Cursor field push, simulated on the CPU
+                vec4 mvPosition = modelViewMatrix * vec4(basePosition + drift + displacement, 1.0);
+                vDepth = -mvPosition.z;
+
+                // Size varies slightly with depth for 3D feel
+                float depthScale = 250.0 / vDepth;
+                gl_PointSize = mix(size, morphSize, uMorph) * pointSize * depthScale;
+                gl_Position = projectionMatrix * mvPosition;
+            }
+        `,
+        fragmentShader: `
+            varying float vOpacity;
+            varying vec3 vColor;
+
+            void main() {
+                // Circular point
+                vec2 center = gl_PointCoord - vec2(0.5);
+                float dist = length(center);
+                if (dist > 0.5) discard;
+
+                // Soft edge, premultiplied for the transparent canvas
+                float alpha = smoothstep(0.5, 0.2, dist) * vOpacity;
+                gl_FragColor = vec4(vColor * alpha, min(alpha, 1.0));
+            }
+        `,
+        transparent: true,
+        depthWrite: false,
+        premultipliedAlpha: true,
+        blending: THREE.AdditiveBlending
+    });
+    material.userData.cpuOpacity = cpuOpacity;
+    material.userData.cpuColor = cpuColor;
+
+    return material;
+}
+
+/**
+ * Builds the geometry for a cloud: the shape buffers plus the per-point
+ * float, colour and morph attributes the shader needs. Colours are left at
+ * zero for the scene to paint with its palette.
+ */
+function createCloudGeometry(cloud) {
+    const count = cloud.count;
+    const geometry = new THREE.BufferGeometry();
+    const floatOffsets = new Float32Array(count * 3);
+    const floatSpeeds = new Float32Array(count);
+
+    for (let i = 0; i < count; i++) {
+        // Random offsets for organic floating
+        floatOffsets[i * 3] = random() * Math.PI * 2;
+        floatOffsets[i * 3 + 1] = random() * Math.PI * 2;
+        floatOffsets[i * 3 + 2] = random() * Math.PI * 2;
+        floatSpeeds[i] = 0.3 + random() * 0.7;
+    }
+
+    geometry.setAttribute('position', new THREE.BufferAttribute(cloud.positions, 3));
+    geometry.setAttribute('opacity', new THREE.BufferAttribute(cloud.opacities, 1));
+    geometry.setAttribute('size', new THREE.BufferAttribute(cloud.sizes, 1));
+    geometry.setAttribute('floatOffset', new THREE.BufferAttribute(floatOffsets, 3));
+    geometry.setAttribute('floatSpeed', new THREE.BufferAttribute(floatSpeeds, 1));
+    geometry.setAttribute('morphPosition', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute('morphOpacity', new THREE.BufferAttribute(new Float32Array(count), 1));
+    geometry.setAttribute('morphSize', new THREE.BufferAttribute(new Float32Array(count), 1));
+    geometry.setAttribute('displacement', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute('morphColor', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.userData.parts = cloud.parts || null;
+
+    // Shape-specific attributes, with the value used when morphing into a
+    // shape that doesn't provide them
+    geometry.userData.extraAttributes = {};
+    Object.entries(cloud.attributes || {}).forEach(([name, { array, itemSize, defaultValue = 0 }]) => {
+        geometry.setAttribute(name, new THREE.BufferAttribute(array, itemSize));
+        geometry.userData.extraAttributes[name] = defaultValue;
+    });
+
+    return geometry;
+}
+
+/**
+ * Builds the scene around a generated point cloud and starts the loop.
+ *
+ * Setup:
+ *   defaults        - the animation's full default config (SCENE_DEFAULTS
+ *                     merged with its shape parameters)
+ *   rules           - validators for the shape parameters, see options.js
+ *   options         - caller options, deep-merged over the defaults
+ *   createCloud     - (config) => { count, positions, opacities, sizes }, built
+ *                     with createPointCloud, optionally with extra `attributes`
+ *                     ({ name: { array, itemSize, defaultValue } })
+ *   liveOptions     - animation options that are read every frame, so
+ *                     changing them doesn't regenerate the cloud
+ *   valueOptions    - animation options holding whole objects (loaded data)
+ *                     that a new value replaces instead of merging into; the
+ *                     palette always is one
+ *   shader          - vertex shader extension, see createParticleMaterial
+ *   spin            - ({ elapsed, motion }) => radians the shape is turned
+ *                     about its vertical axis, under the tilt; applied before
+ *                     the cursor field so it pushes what is under the pointer
+ *   onFrame         - called every frame before rendering with
+ *                     ({ config, time, elapsed, motion, mainGroup, geometry, material })
+ *   onOptionsChange - called with the new config after setOptions()
+ *
+ * Scene options (SCENE_DEFAULTS):
+ *   color           - particle colour, hex number or CSS colour string
+ *   palette         - per-particle colours instead: a PALETTES preset name or
+ *                     a gradient / per-part definition, see palette.js
+ *   blending        - 'additive' glow for dark backgrounds, 'normal', or
+ *                     'multiply' for light ones; 'auto' picks from the
+ *                     container's background colour (see blending.js)
+ *   motion          - 'auto' (follows prefers-reduced-motion) | 'full' |
+ *                     'reduced' (no parallax, no drift, instant morphs) |
+ *                     'none' (a single still frame)
+ *   offscreen       - 'pause' stops rendering while the container is out of
+ *                     view, 'throttle' keeps rendering at offscreenFps
+ *   seed            - routes all randomness of the shape (positions, sizes,
+ *                     drift phases, flicker) through a seeded generator, so
+ *                     the same seed builds identical buffers
+ *   timeScale       - speed of the animation clock: drift, sweeps, morphs
+ *                     and auto-rotation all run on it (0 freezes them)
+ *   mouse           - { maxRotation, smoothing, inertia, orientation } for the
+ *                     tilt from the cursor, touch drags or device orientation
+ *   camera          - { fov, fit }: the camera backs off until the shape
+ *                     spans at most `fit` of the canvas's width and height,
+ *                     so any shape fits any container, portrait or landscape
+ *   float           - { step, amplitude: [x, y, z] } for the organic drift
+ *   field           - { mode, radius, strength, stiffness, damping } for the
+ *                     cursor pushing particles away ('repel') or pulling them
+ *                     in ('attract'); they spring back into the shape
+ *
+ * Returns the controller for the animation.
+ */
+export function createParticleScene(container, setup) {
+    const {
+        defaults = SCENE_DEFAULTS,
+        rules: shapeRules = {},
+        options = {},
+        createCloud,
+        liveOptions = [],
+        valueOptions = [],
+        shader = {},
+        spin = null,
+        onFrame = null,
+        onOptionsChange = null,
+    } = setup;
+
+    const validators = { ...SCENE_RULES, ...shapeRules };
+    const sceneKeys = new Set([...Object.keys(SCENE_DEFAULTS), ...liveOptions]);
+    const valueKeys = ['palette', ...valueOptions];
+    let config = validateOptions(mergeOptions(defaults, options, valueKeys), defaults, validators);
+
+    // Get dimensions - fallback to window size if container has no dimensions
+    const getWidth = () => container.clientWidth || window.innerWidth;
+    const getHeight = () => container.clientHeight || window.innerHeight;
+
+    // Scene setup
+    const scene = new THREE.Scene();
+
+    // Camera setup, placed by updateCameraPosition() once the cloud exists
+    const camera = new THREE.PerspectiveCamera(config.camera.fov, getWidth() / getHeight(), 0.1, 1000);
+
+    // Renderer setup - Canvas2D points when WebGL is disabled or unsupported
+    // (the renderer throws when it can't get a context)
+    let renderer;
+    let isFallback = false;
+    try {
+        renderer = new THREE.WebGLRenderer({ alpha: true, antialias: true, premultipliedAlpha: true });
+    } catch (error) {
+        console.warn(`WebGL unavailable (${error.message}), using the Canvas2D fallback renderer`);
+        renderer = createCanvasRenderer();
+        isFallback = true;
+    }
+    renderer.setSize(getWidth(), getHeight());
+    renderer.domElement.style.display = 'block'; // No inline baseline gap growing the container
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    container.appendChild(renderer.domElement);
+
+    // Group to hold everything
+    const mainGroup = new THREE.Group();
+    scene.add(mainGroup);
+
+    // Runs a generator with a fresh seeded random source when a seed is set,
+    // so the same seed always builds the same cloud, whatever came before
+    function generate(callback) {
+        return withRandom(config.seed === null ? null : createRandom(config.seed), callback);
+    }
+
+    // Particle colours come from the palette, or the plain colour without one
+    const getPalette = () => resolvePalette(config.palette, config.color);
+
+    function paintColors(target, palette = getPalette()) {
+        const color = target.getAttribute('color');
+        const cloud = { positions: target.getAttribute('position').array, count: color.count, parts: target.userData.parts };
+        fillColors(color.array, cloud, palette);
+        color.needsUpdate = true;
+    }
+
+    function buildGeometry() {
+        const built = generate(() => createCloudGeometry(createCloud(config)));
+        paintColors(built);
+        return built;
+    }
+
+    // Particle system
+    let geometry = buildGeometry();
+    let count = geometry.getAttribute('position').count;
+    let shapeRadius = getCloudRadius(geometry.getAttribute('position').array);
+    // Clouds the camera keeps in view: the shape, and the target of a morph
+    let framedClouds = [geometry.getAttribute('position').array];
+
+    const material = createParticleMaterial(shader);
+    const points = new THREE.Points(geometry, material);
+    mainGroup.add(points);
+
+    // Blending mode, re-resolved for 'auto' when the site's colour scheme flips
+    let blending = null;
+
+    function updateBlending() {
+        blending = resolveBlending(config.blending, container);
+        applyBlending(blending, material, renderer.domElement);
+    }
+    updateBlending();
+
+    const colorSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+    function onColorSchemeChange() {
+        if (config.blending !== 'auto') return;
+        updateBlending();
+        requestRender();
+    }
+    if (colorSchemeQuery) colorSchemeQuery.addEventListener('change', onColorSchemeChange);
+
+    // Swaps in a regenerated cloud geometry (particle count may change)
+    function setCloud(nextGeometry) {
+        if (morph) {
+            const { resolve } = morph;
+            morph = null;
+            material.uniforms.uMorph.value = 0;
+            material.uniforms.uScatter.value = 0;
+            resolve();
+        }
+        // The new cloud is painted with the target palette already
+        if (paletteTransition) {
+            const { resolve } = paletteTransition;
+            paletteTransition = null;
+            resolve();
+        }
+
+        const previous = geometry;
+        geometry = nextGeometry;
+        count = geometry.getAttribute('position').count;
+        points.geometry = geometry;
+        previous.dispose();
+        field.reset(geometry);
+
+        shapeRadius = getCloudRadius(geometry.getAttribute('position').array);
+        framedClouds = [geometry.getAttribute('position').array];
+        updateCameraPosition(true);
+    }
+
+    // Pointer, touch and orientation input - subtle rotation
+    const input = createTiltInput(renderer.domElement, () => config.mouse);
+    const currentRotation = { x: 0, y: 0 };
+
+    // Cursor field, fed with the pointer over the canvas
+    const field = createPointerField();
+
+    // Camera framing: back off until the shape fits both view angles, see
+    // getFitDistance. Shape changes glide there while the loop runs, `snap`
+    // jumps (resizes, still frames)
+    let cameraDistance = 0;
+
+    function updateCameraPosition(snap = false) {
+        const { fit } = config.camera;
+        cameraDistance = Math.max(...framedClouds.map((positions) => getFitDistance(positions, camera, fit, config.mouse.maxRotation)));
+        if (cameraDistance + shapeRadius > camera.far) {
+            camera.far = (cameraDistance + shapeRadius) * 2;
+            camera.updateProjectionMatrix();
+        }
+        if (snap || frameId === null) camera.position.z = cameraDistance;
+    }
+    updateCameraPosition(true);
+
+    // Handle resize - the container, not the window, so cards and
+    // portrait heroes are framed by their own box
+    function onResize() {
+        // Hidden or collapsed (display: none, zero height): keep the last size
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+        if (!width || !height) return;
+
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+        renderer.setSize(width, height);
+        updateCameraPosition(true);
+
+        // Without a running loop, redraw the still frame at the new size
+        requestRender();
+    }
+
+    const resizeObserver = 'ResizeObserver' in window ? new ResizeObserver(onResize) : null;
+    if (resizeObserver) {
+        resizeObserver.observe(container);
+    } else {
+        window.addEventListener('resize', onResize);
+    }
+
+    // WebGL context loss (GPU reset, driver update, too many live contexts)
+    let contextLost = false;
+
+    function onContextLost(event) {
+        // Tell the browser we want the context back
+        event.preventDefault();
+        contextLost = true;
+        updateLoop();
+    }
+
+    function onContextRestored() {
+        contextLost = false;
+
+        // Re-upload every buffer and recompile every shader on the new context
+        scene.traverse((object) => {
+            if (object.geometry) {
+                Object.values(object.geometry.attributes).forEach((attribute) => {
+                    attribute.needsUpdate = true;
+                });
+            }
+            if (object.material) object.material.needsUpdate = true;
+        });
+
+        updateLoop();
+        requestRender();
+    }
+
+    if (!isFallback) {
+        renderer.domElement.addEventListener('webglcontextlost', onContextLost);
+        renderer.domElement.addEventListener('webglcontextrestored', onContextRestored);
+    }
+
+    // Offscreen and hidden-tab handling. The clocks only advance while
+    // rendering, so the animation picks up exactly where it stopped.
+    let isOnScreen = true;
+    const intersectionObserver = 'IntersectionObserver' in window
+        ? new IntersectionObserver(([entry]) => {
+            isOnScreen = entry.isIntersecting;
+            updateLoop();
+        })
+        : null;
+    if (intersectionObserver) intersectionObserver.observe(container);
+
+    function onVisibilityChange() {
+        updateLoop();
+    }
+    document.addEventListener('visibilitychange', onVisibilityChange);
+
+    // Reduced motion
+    const reducedMotionQuery = window.matchMedia
+        ? window.matchMedia('(prefers-reduced-motion: reduce)')
+        : null;
+    let motionLevel = 'full';
+
+    function resolveMotion() {
+        if (config.motion !== 'auto') return config.motion;
+        return reducedMotionQuery && reducedMotionQuery.matches ? 'reduced' : 'full';
+    }
+
+    function applyMotion() {
+        motionLevel = resolveMotion();
+        material.uniforms.uFloatAmplitude.value.fromArray(motionLevel === 'full' ? config.float.amplitude : [0, 0, 0]);
+
+        if (motionLevel !== 'full' && morph) settleMorph(1);
+        if (motionLevel !== 'full' && paletteTransition) finishPaletteTransition();
+        if (motionLevel !== 'full') field.reset(geometry);
+        if (motionLevel === 'none') {
+            currentRotation.x = 0;
+            currentRotation.y = 0;
+        }
+
+        updateLoop();
+        requestRender();
+    }
+
+    /**
+     * Switches between 'auto', 'full', 'reduced' and 'none' motion.
+     */
+    function setMotion(level) {
+        setOptions({ motion: level });
+    }
+
+    // Animation clock. Everything that animates on its own reads `elapsed`
+    // (or the drift phase `time` derived from it), never the wall clock, so
+    // a given clock value always renders the same frame.
+    let time = 0; // Drift phase, float.step per 60 Hz frame of elapsed time
+    let elapsed = 0; // Milliseconds of animation time, excluding paused time
+    let lastFrame = performance.now();
+    let frameId = null;
+    let paused = false;
+    let destroyed = false;
+
+    function advanceClock(delta) {
+        const scaled = delta * config.timeScale;
+        elapsed += scaled;
+        time += config.float.step * (scaled / FRAME_MS);
+    }
+
+    // `live` frames follow the pointer; renderAt() frames show the rest pose
+    function renderFrame(live = true) {
+        // Smooth rotation for 3D effect (no parallax unless motion is full)
+        const interactive = live && motionLevel === 'full';
+        if (interactive) input.update();
+        const target = interactive ? input.target : { x: 0, y: 0 };
+        const smoothing = live ? config.mouse.smoothing : 1;
+        currentRotation.x += (target.x - currentRotation.x) * smoothing;
+        currentRotation.y += (target.y - currentRotation.y) * smoothing;
+
+        mainGroup.rotation.x = currentRotation.x;
+        mainGroup.rotation.y = currentRotation.y + (spin ? spin({ elapsed, motion: motionLevel }) : 0);
+
+        camera.position.z += (cameraDistance - camera.position.z) * (interactive ? CAMERA_EASING : 1);
+
+        material.uniforms.uTime.value = time;
+
+        if (paletteTransition) stepPaletteTransition();
+
+        if (morph) {
+            const progress = morph.duration > 0 ? Math.min(Math.max((elapsed - morph.start) / morph.duration, 0), 1) : 1;
+            material.uniforms.uMorph.value = morph.easing(progress);
+            if (progress >= 1) settleMorph(1);
+        }
+
+        if (interactive) {
+            field.update({ geometry, material, camera, mainGroup, pointer: input.pointer, settings: config.field });
+        }
+
+        if (onFrame) {
+            onFrame({ config, time, elapsed, motion: motionLevel, mainGroup, geometry, material });
+        }
+
+        renderer.render(scene, camera);
+    }
+
+    function animate() {
+        frameId = requestAnimationFrame(animate);
+
+        const now = performance.now();
+        const delta = now - lastFrame;
+
+        // Offscreen in 'throttle' mode: skip frames, the clock catches up
+        if (!isOnScreen && delta < 1000 / config.offscreenFps) return;
+        advanceClock(delta);
+        lastFrame = now;
+
+        renderFrame();
+    }
+
+    // Starts or stops the loop to match the pause state, visibility, context
+    // and motion level
+    function updateLoop() {
+        const isVisible = !document.hidden && (isOnScreen || config.offscreen === 'throttle');
+        const shouldRun = !destroyed && !paused && isVisible && !contextLost && motionLevel !== 'none';
+        if (shouldRun && frameId === null) {
+            lastFrame = performance.now();
+            animate();
+        } else if (!shouldRun && frameId !== null) {
+            cancelAnimationFrame(frameId);
+            frameId = null;
+        }
+    }
+
+    // Shape morphing
+    let morph = null;
+
+    /**
+     * Eases every particle into a new shape. `target` is a registered shape
+     * name or a point cloud; either is resampled to this scene's particle
+     * count. Resolves once the particles have arrived, or at once if the
+     * scene is destroyed first.
+     */
+    function morphTo(target, { duration = 1500, easing = 'easeInOutCubic', scatter = 0 } = {}) {
+        if (destroyed) return Promise.resolve();
+
+        const targetCloud = generate(() => (typeof target === 'string'
+            ? createShapeCloud(target, count)
+            : resampleCloud(toCloud(target), count)));
+
+        // Continue from wherever an unfinished morph currently is
+        if (morph) settleMorph(material.uniforms.uMorph.value);
+
+        const morphPosition = geometry.getAttribute('morphPosition');
+        const morphOpacity = geometry.getAttribute('morphOpacity');
+        const morphSize = geometry.getAttribute('morphSize');
+        const morphColor = geometry.getAttribute('morphColor');
+        morphPosition.array.set(targetCloud.positions);
+        morphOpacity.array.set(targetCloud.opacities);
+        morphSize.array.set(targetCloud.sizes);
+        fillColors(morphColor.array, targetCloud, getPalette());
+        morphPosition.needsUpdate = true;
+        morphOpacity.needsUpdate = true;
+        morphSize.needsUpdate = true;
+        morphColor.needsUpdate = true;
+
+        material.uniforms.uScatter.value = scatter;
+
+        // Frame both shapes while they blend
+        shapeRadius = Math.max(shapeRadius, getCloudRadius(targetCloud.positions));
+        framedClouds = [geometry.getAttribute('position').array, targetCloud.positions];
+        updateCameraPosition();
+
+        return new Promise((resolve) => {
+            morph = {
+                start: elapsed,
+                duration: motionLevel === 'full' ? duration : 0,
+                easing: resolveEasing(easing),
+                cloud: targetCloud,
+                resolve,
+            };
+            if (frameId === null) renderFrame();
+        });
+    }
+
+    // Bakes the blended state into the base buffers and ends the morph
+    function settleMorph(amount) {
+        // Colours blend towards the target shape painted in the new palette
+        if (paletteTransition) finishPaletteTransition();
+
+        ['position', 'opacity', 'size', 'color'].forEach((name) => {
+            const attribute = geometry.getAttribute(name);
+            const target = geometry.getAttribute(`morph${name[0].toUpperCase()}${name.slice(1)}`).array;
+            const array = attribute.array;
+            for (let i = 0; i < array.length; i++) {
+                array[i] += (target[i] - array[i]) * amount;
+            }
+            attribute.needsUpdate = true;
+        });
+
+        // Shape-specific attributes switch over once the new shape is reached
+        if (amount >= 1) {
+            const targetAttributes = morph.cloud.attributes || {};
+            Object.entries(geometry.userData.extraAttributes).forEach(([name, defaultValue]) => {
+                const attribute = geometry.getAttribute(name);
+                if (targetAttributes[name]) {
+                    attribute.array.set(targetAttributes[name].array);
+                } else {
+                    attribute.array.fill(defaultValue);
+                }
+                attribute.needsUpdate = true;
+            });
+            geometry.userData.parts = morph.cloud.parts || null;
+        }
+
+        geometry.computeBoundingSphere();
+        shapeRadius = getCloudRadius(geometry.getAttribute('position').array);
+        framedClouds = [geometry.getAttribute('position').array];
+        updateCameraPosition();
+        material.uniforms.uMorph.value = 0;
+        material.uniforms.uScatter.value = 0;
+
+        const { resolve } = morph;
+        morph = null;
+        resolve();
+    }
+
+    // Palette transitions: the colour buffer blends from the old colours to
+    // the new palette on the animation clock
+    let paletteTransition = null;
+    let paletteChange = null; // Transition settings for the next palette change
+
+    function recolor({ duration = 0, easing = 'easeInOutCubic' } = {}) {
+        // Start from the colours on screen, even halfway through a transition
+        const color = geometry.getAttribute('color');
+        const from = color.array.slice();
+        if (paletteTransition) finishPaletteTransition();
+
+        // A running morph lands on the new palette
+        if (morph) {
+            const morphColor = geometry.getAttribute('morphColor');
+            fillColors(morphColor.array, morph.cloud, getPalette());
+            morphColor.needsUpdate = true;
+        }
+
+        paintColors(geometry);
+        if (motionLevel !== 'full' || duration <= 0) return;
+
+        let resolve;
+        const promise = new Promise((done) => {
+            resolve = done;
+        });
+        paletteTransition = {
+            start: elapsed,
+            duration,
+            easing: resolveEasing(easing),
+            from,
+            to: color.array.slice(),
+            promise,
+            resolve,
+        };
+        stepPaletteTransition();
+    }
+
+    function stepPaletteTransition() {
+        const { start, duration, easing, from, to } = paletteTransition;
+        const progress = Math.min(Math.max((elapsed - start) / duration, 0), 1);
+        if (progress >= 1) {
+            finishPaletteTransition();
+            return;
+        }
+
+        const amount = easing(progress);
+        const color = geometry.getAttribute('color');
+        const array = color.array;
+        for (let i = 0; i < array.length; i++) {
+            array[i] = from[i] + (to[i] - from[i]) * amount;
+        }
+        color.needsUpdate = true;
+    }
+
+    function finishPaletteTransition() {
+        const color = geometry.getAttribute('color');
+        color.array.set(paletteTransition.to);
+        color.needsUpdate = true;
+
+        const { resolve } = paletteTransition;
+        paletteTransition = null;
+        resolve();
+    }
+
+    /**
+     * Fades every particle to a new palette (a PALETTES preset name, a
+     * colour definition, or null for the plain `color`). Resolves once the
+     * colours have arrived, or at once if the scene is destroyed first.
+     */
+    function setPalette(palette, { duration = 1000, easing = 'easeInOutCubic' } = {}) {
+        if (destroyed) return Promise.resolve();
+
+        paletteChange = { duration, easing };
+        setOptions({ palette });
+        paletteChange = null;
+
+        return paletteTransition ? paletteTransition.promise : Promise.resolve();
+    }
+
+    // Runtime options
+    /**
+     * Merges new options into the current config and rebuilds only what
+     * changed: scene options are applied in place, any shape parameter
+     * regenerates the point cloud.
+     */
+    function setOptions(newOptions = {}) {
+        if (destroyed) return;
+
+        const previous = config;
+        config = validateOptions(mergeOptions(previous, newOptions, valueKeys), previous, validators);
+        const changed = changedKeys(previous, config);
+        if (changed.length === 0) return;
+
+        const regenerate = changed.includes('seed') || changed.some((key) => !sceneKeys.has(key));
+        if (!regenerate && (changed.includes('color') || changed.includes('palette'))) {
+            recolor(paletteChange || undefined);
+        }
+        if (changed.includes('mouse')) {
+            input.syncOrientation();
+        }
+        if (changed.includes('blending')) {
+            updateBlending();
+        }
+        if (changed.includes('camera')) {
+            camera.fov = config.camera.fov;
+            camera.updateProjectionMatrix();
+        }
+        // The framing leaves room for the tilt
+        if (changed.includes('camera') || changed.includes('mouse')) {
+            updateCameraPosition();
+        }
+        if (regenerate) {
+            setCloud(buildGeometry());
+        }
+        if (onOptionsChange) onOptionsChange(config);
+
+        // Motion, float, offscreen and mouse settings are read live;
+        // re-applying motion refreshes the drift and the loop state
+        applyMotion();
+    }
+
+    // Lifecycle controls
+    function pause() {
+        paused = true;
+        updateLoop();
+    }
+
+    function resume() {
+        paused = false;
+        updateLoop();
+    }
+
+    /**
+     * Pauses the animation and renders the frame at `seconds` of animation
+     * time, in the rest pose (no tilt or cursor field). With a seed, the
+     * same time always gives the same picture; resume() continues from it.
+     */
+    function renderAt(seconds) {
+        if (destroyed) return;
+        pause();
+
+        elapsed = seconds * 1000;
+        time = config.float.step * (elapsed / FRAME_MS);
+        field.reset(geometry);
+        renderFrame(false);
+    }
+
+    /**
+     * Draws the current frame when the loop isn't running (paused, offscreen
+     * or motion 'none'), so changes made outside setOptions() still show.
+     * A running loop picks them up on its next frame anyway.
+     */
+    function requestRender() {
+        if (frameId === null && !destroyed) renderFrame();
+    }
+
+    /**
+     * Speeds up (> 1), slows down (< 1) or freezes (0) the animation clock.
+     */
+    function setTimeScale(scale) {
+        setOptions({ timeScale: scale });
+    }
+
+    function destroy() {
+        if (destroyed) return;
+        destroyed = true;
+        updateLoop();
+
+        // Their frames will never come, so settle whoever is waiting on them
+        if (morph) {
+            const { resolve } = morph;
+            morph = null;
+            resolve();
+        }
+        if (paletteTransition) {
+            const { resolve } = paletteTransition;
+            paletteTransition = null;
+            resolve();
+        }
+
+        input.dispose();
+        if (resizeObserver) resizeObserver.disconnect();
+        window.removeEventListener('resize', onResize);
+        if (reducedMotionQuery) reducedMotionQuery.removeEventListener('change', applyMotion);
+        if (colorSchemeQuery) colorSchemeQuery.removeEventListener('change', onColorSchemeChange);
+        document.removeEventListener('visibilitychange', onVisibilityChange);
+        if (intersectionObserver) intersectionObserver.disconnect();
+        renderer.domElement.removeEventListener('webglcontextlost', onContextLost);
+        renderer.domElement.removeEventListener('webglcontextrestored', onContextRestored);
+
+        geometry.dispose();
+        material.dispose();
+        renderer.dispose();
+        renderer.domElement.remove();
+    }
+
+    if (reducedMotionQuery) reducedMotionQuery.addEventListener('change', applyMotion);
+    applyMotion();
+
+    return {
+        scene,
+        camera,
+        renderer,
+        mainGroup,
+        points,
+        material,
+        morphTo,
+        setOptions,
+        setMotion,
+        setTimeScale,
+        setPalette,
+        requestOrientation: input.requestOrientation,
+        pause,
+        resume,
+        renderAt,
+        requestRender,
+        destroy,
+        isFallback,
+        get geometry() {
+            return geometry;
+        },
+        get config() {
+            return config;
+        },
+        get motion() {
+            return motionLevel;
+        },
+        get isRunning() {
+            return frameId !== null;
+        },
+        get isPaused() {
+            return paused;
+        },
+        get blending() {
+            return blending;
+        },
+        get currentTime() {
+            return elapsed / 1000;
+        },
+    };
+}
@@ -0,0 +1,65 @@
+/**
+ * Seeded randomness, so a `seed` option gives the same particle layout and
+ * drift on every load (stable screenshots for client approval and visual
+ * diffs).
+ *
+ * Generators call random() instead of Math.random(). It draws from
+ * Math.random() unless a scene runs the generator inside withRandom() with
+ * a seeded source. Cloud generation is synchronous, so swapping the source
+ * for the duration of the call is enough to keep scenes apart.
+ */
+
+let source = Math.random;
+
+/**
+ * Next number in [0, 1) from the current source.
+ */
+export function random() {
+    return source();
+}
+
+/**
+ * Turns a numeric or string seed into a 32-bit integer state.
+ */
+function hashSeed(seed) {
+    if (typeof seed === 'number') return Math.floor(seed) >>> 0;
+
+    // FNV-1a over the UTF-16 code units
+    let hash = 2166136261;
+    for (let i = 0; i < seed.length; i++) {
+        hash = Math.imul(hash ^ seed.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Creates a seeded generator (mulberry32) returning numbers in [0, 1).
+ * Seeds can be numbers or strings.
+ */
+export function createRandom(seed) {
+    let state = hashSeed(seed);
+
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Runs `callback` with random() drawing from `generator` and returns its
+ * result. A null generator leaves the current source in place.
+ */
+export function withRandom(generator, callback) {
+    if (!generator) return callback();
+
+    const previous = source;
+    source = generator;
+    try {
+        return callback();
+    } finally {
+        source = previous;
+    }
+}
@@ -1,53 +1,37 @@
-import * as THREE from 'three';
-
-export function initSurveillanceAnimation(containerId) {
-    const container = document.getElementById(containerId);
-    if (!container) {
-        console.error(`Container #${containerId} not found`);
-        return;
-    }
-
-    // Configuration
-    const config = {
-        color: 0xadadad,
-        particleCount: 30000,
-        
-        // Dimensions for "User Icon" shape
-        headRadius: 16,
-        
-        bodyWidth: 68,
-        bodyHeight: 32, // Height of the semi-ellipse
-        bodyDepth: 18,
-        
-        gapSize: 4, // Clear space between head and body
-    };
-
-    // Scene setup
-    const scene = new THREE.Scene();
+import { getContainer, createPointCloud, createParticleScene, SCENE_DEFAULTS } from './particle-scene.js';
+import { registerShape } from './morph.js';
+import { mergeOptions, rules } from './options.js';
+import { random } from './random.js';
+
+// Default configuration
+const DEFAULT_CONFIG = mergeOptions(SCENE_DEFAULTS, {
+    particleCount: 30000,
+    
+    // Dimensions for "User Icon" shape
+    headRadius: 16,
     
-    // Camera setup
-    const camera = new THREE.PerspectiveCamera(50, container.clientWidth / container.clientHeight, 0.1, 1000);
-    camera.position.z = 100;
+    bodyWidth: 68,
+    bodyHeight: 32, // Height of the semi-ellipse
+    bodyDepth: 18,
+    
+    gapSize: 4, // Clear space between head and body
 
-    // Renderer setup
-    const renderer = new THREE.WebGLRenderer({ alpha: true, antialias: true });
-    renderer.setSize(container.clientWidth, container.clientHeight);
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-    container.appendChild(renderer.domElement);
+    mouse: { smoothing: 0.03 },
+});
 
-    // Group to hold everything
-    const mainGroup = new THREE.Group();
-    scene.add(mainGroup);
+const OPTION_RULES = {
+    particleCount: rules.positiveInteger,
+    headRadius: rules.positive,
+    bodyWidth: rules.positive,
+    bodyHeight: rules.positive,
+    bodyDepth: rules.positive,
+    gapSize: rules.nonNegative,
+};
 
-    // Create particle system
-    const geometry = new THREE.BufferGeometry();
-    const positions = new Float32Array(config.particleCount * 3);
-    const opacities = new Float32Array(config.particleCount);
-    const sizes = new Float32Array(config.particleCount);
-    
-    const originalPositions = new Float32Array(config.particleCount * 3);
-    const floatOffsets = new Float32Array(config.particleCount * 3);
-    const floatSpeeds = new Float32Array(config.particleCount);
+// "User icon": spherical head above a semi-ellipsoid body
+function createUserCloud(config) {
+    const cloud = createPointCloud(config.particleCount, ['shoulders', 'head']);
+    const { positions, opacities, sizes, parts } = cloud;
 
     // Calculate layout to center everything
     // Head sits on top. Body sits below gap.
@@ -80,18 +64,17 @@ export function initSurveillanceAnimation(containerId) {
 
     // Distribution
     const headParticles = Math.floor(config.particleCount * 0.35);
-    const bodyParticles = config.particleCount - headParticles;
 
     for (let i = 0; i < config.particleCount; i++) {
         let x, y, z;
 
         if (i < headParticles) {
             // Head (Sphere)
-            const u = Math.random();
-            const v = Math.random();
+            const u = random();
+            const v = random();
             const theta = 2 * Math.PI * u;
             const phi = Math.acos(2 * v - 1);
-            const r = config.headRadius * Math.cbrt(Math.random());
+            const r = config.headRadius * Math.cbrt(random());
             
             x = r * Math.sin(phi) * Math.cos(theta);
             y = r * Math.sin(phi) * Math.sin(theta) + headCenterY;
@@ -101,11 +84,11 @@ export function initSurveillanceAnimation(containerId) {
             // Body (Semi-Ellipsoid)
             // Rejection sampling for the perfect curved shape
             do {
-                x = (Math.random() - 0.5) * config.bodyWidth;
+                x = (random() - 0.5) * config.bodyWidth;
                 // y goes from 0 (top) down to -height (bottom) in local generation space?
                 // Actually, let's generate 0 to height (bottom to top)
-                y = Math.random() * config.bodyHeight; 
-                z = (Math.random() - 0.5) * config.bodyDepth;
+                y = random() * config.bodyHeight; 
+                z = (random() - 0.5) * config.bodyDepth;
             } while (!isInsideEllipsoid(x, y, z, config.bodyWidth, config.bodyHeight, config.bodyDepth));
 
             // Flip Y so the flat side is at the bottom? 
@@ -135,19 +118,11 @@ export function initSurveillanceAnimation(containerId) {
 
         // Apply Global Centering Shift
         y -= visualCenterY;
+        parts.index[i] = i < headParticles ? 1 : 0;
 
         positions[i * 3] = x;
         positions[i * 3 + 1] = y;
         positions[i * 3 + 2] = z;
-        
-        originalPositions[i * 3] = x;
-        originalPositions[i * 3 + 1] = y;
-        originalPositions[i * 3 + 2] = z;
-        
-        floatOffsets[i * 3] = Math.random() * Math.PI * 2;
-        floatOffsets[i * 3 + 1] = Math.random() * Math.PI * 2;
-        floatOffsets[i * 3 + 2] = Math.random() * Math.PI * 2;
-        floatSpeeds[i] = 0.3 + Math.random() * 0.7;
 
         // Gradient Opacity
         // Brightest at top (head), darker at bottom
@@ -162,137 +137,22 @@ export function initSurveillanceAnimation(containerId) {
         opacity *= 0.6 + normalizedZ * 0.4;
 
         opacities[i] = opacity;
-        sizes[i] = 1.0 + Math.random() * 0.5;
+        sizes[i] = 1.0 + random() * 0.5;
     }
 
-    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-    geometry.setAttribute('opacity', new THREE.BufferAttribute(opacities, 1));
-    geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
-
-    // Shader Material
-    const material = new THREE.ShaderMaterial({
-        uniforms: {
-            color: { value: new THREE.Color(config.color) },
-            pointSize: { value: 2.0 }
-        },
-        vertexShader: `
-            attribute float opacity;
-            attribute float size;
-            varying float vOpacity;
-            varying float vDepth;
-            uniform float pointSize;
-            
-            void main() {
-                vOpacity = opacity;
-                vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
-                vDepth = -mvPosition.z;
-                
-                // Size attenuation
-                float depthScale = 250.0 / vDepth;
-                gl_PointSize = size * pointSize * depthScale;
-                gl_Position = projectionMatrix * mvPosition;
-            }
-        `,
-        fragmentShader: `
-            uniform vec3 color;
-            varying float vOpacity;
-            
-            void main() {
-                vec2 center = gl_PointCoord - vec2(0.5);
-                float dist = length(center);
-                if (dist > 0.5) discard;
-                
-                float alpha = smoothstep(0.5, 0.2, dist) * vOpacity;
-                gl_FragColor = vec4(color, alpha);
-            }
-        `,
-        transparent: true,
-        depthWrite: false,
-        blending: THREE.AdditiveBlending
-    });
+    return cloud;
+}
 
-    const humanGroup = new THREE.Points(geometry, material);
-    mainGroup.add(humanGroup);
+registerShape('user', (count) => createUserCloud({ ...DEFAULT_CONFIG, particleCount: count }));
 
-    // Interaction
-    const targetRotation = { x: 0, y: 0 };
-    const currentRotation = { x: 0, y: 0 };
-    const maxRotation = 0.12; 
-    const smoothing = 0.03;
+export function initSurveillanceAnimation(containerId, options = {}) {
+    const container = getContainer(containerId);
+    if (!container) return;
 
-    window.addEventListener('mousemove', (event) => {
-        const mouseX = (event.clientX / window.innerWidth) * 2 - 1;
-        const mouseY = -(event.clientY / window.innerHeight) * 2 + 1;
-        
-        targetRotation.x = -mouseY * maxRotation;
-        targetRotation.y = mouseX * maxRotation;
+    return createParticleScene(container, {
+        defaults: DEFAULT_CONFIG,
+        rules: OPTION_RULES,
+        options,
+        createCloud: createUserCloud,
     });
-
-    // Resize
-    function updateCameraPosition() {
-        const width = window.innerWidth;
-        if (width < 600) {
-            camera.position.z = 140;
-        } else if (width < 900) {
-            camera.position.z = 120;
-        } else {
-            camera.position.z = 100;
-        }
-    }
-    updateCameraPosition();
-
-    window.addEventListener('resize', () => {
-        const width = container.clientWidth;
-        const height = container.clientHeight;
-        camera.aspect = width / height;
-        camera.updateProjectionMatrix();
-        renderer.setSize(width, height);
-        updateCameraPosition();
-    });
-
-    // Animate
-    let time = 0;
-    const positionAttribute = geometry.getAttribute('position');
-
-    function animate() {
-        requestAnimationFrame(animate);
-        time += 0.008;
-
-        currentRotation.x += (targetRotation.x - currentRotation.x) * smoothing;
-        currentRotation.y += (targetRotation.y - currentRotation.y) * smoothing;
-        
-        mainGroup.rotation.x = currentRotation.x;
-        mainGroup.rotation.y = currentRotation.y;
-
-        for (let i = 0; i < config.particleCount; i++) {
-            const speed = floatSpeeds[i];
-            const ox = floatOffsets[i * 3];
-            const oy = floatOffsets[i * 3 + 1];
-            const oz = floatOffsets[i * 3 + 2];
-            
-            const dx = Math.sin(time * speed + ox) * 0.5;
-            const dy = Math.sin(time * speed * 0.8 + oy) * 0.5;
-            const dz = Math.sin(time * speed * 0.6 + oz) * 0.3;
-            
-            positionAttribute.array[i * 3] = originalPositions[i * 3] + dx;
-            positionAttribute.array[i * 3 + 1] = originalPositions[i * 3 + 1] + dy;
-            positionAttribute.array[i * 3 + 2] = originalPositions[i * 3 + 2] + dz;
-        }
-        positionAttribute.needsUpdate = true;
-
-        renderer.render(scene, camera);
-    }
-    
-    animate();
-
-    return { scene, camera, renderer };
-}
-
-if (typeof window !== 'undefined') {
-    const scriptTag = document.querySelector('script[src*="surveillance.js"]');
-    if (scriptTag) {
-        window.addEventListener('DOMContentLoaded', () => {
-            initSurveillanceAnimation('hero-canvas');
-        });
-    }
 }
@@ -0,0 +1,193 @@
+import * as THREE from 'three';
+import { SVGLoader } from 'https://unpkg.com/three@0.160.0/examples/jsm/loaders/SVGLoader.js';
+import { createPointCloud } from './particle-scene.js';
+import { random } from './random.js';
+import { sampleTriangles } from './sampling.js';
+
+/**
+ * Turns the filled areas of an SVG (or any flat shapes, see text.js) into a
+ * particle cloud, so any logo or icon gets the same floating treatment as
+ * the About page.
+ *
+ * Every filled path is triangulated (holes follow the path's fill-rule) and
+ * particles are spread over the triangles by area (see sampling.js). The drawing is centred
+ * on its viewBox (or on the filled content), flipped to y-up and normalised
+ * so its longer side spans SVG_SIZE units before `scale` is applied.
+ */
+
+// Scene units for the longer side of a normalised drawing (fills the hero
+// at the default camera distance)
+export const SVG_SIZE = 150;
+
+// Reads the viewBox, falling back to width/height; null when neither is set
+function readViewBox(svgElement) {
+    const viewBox = (svgElement.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+    if (viewBox.length === 4 && viewBox.every(Number.isFinite) && viewBox[2] > 0 && viewBox[3] > 0) {
+        return { x: viewBox[0], y: viewBox[1], width: viewBox[2], height: viewBox[3] };
+    }
+
+    const width = parseFloat(svgElement.getAttribute('width'));
+    const height = parseFloat(svgElement.getAttribute('height'));
+    if (width > 0 && height > 0) return { x: 0, y: 0, width, height };
+
+    return null;
+}
+
+// Opacity a path is painted with, 0 when it has no fill
+function getFillOpacity(path) {
+    const style = path.userData.style;
+    if (!style.fill || style.fill === 'none' || style.fill === 'transparent') return 0;
+    return style.fillOpacity * (style.opacity ?? 1);
+}
+
+/**
+ * Triangulates flat THREE.Shapes (holes are cut out) and appends the
+ * triangle corners to `vertices`, shifted by (offsetX, offsetY). Returns the
+ * number of triangles added.
+ */
+export function triangulateShapes(shapes, vertices, offsetX = 0, offsetY = 0) {
+    const shapeGeo = new THREE.ShapeGeometry(shapes);
+    const position = shapeGeo.attributes.position.array;
+    const index = shapeGeo.index ? shapeGeo.index.array : null;
+    const cornerCount = index ? index.length : position.length / 3;
+
+    for (let i = 0; i < cornerCount; i++) {
+        const v = (index ? index[i] : i) * 3;
+        vertices.push(position[v] + offsetX, position[v + 1] + offsetY, 0);
+    }
+
+    // Triangulated geometry is only needed for sampling
+    shapeGeo.dispose();
+
+    return cornerCount / 3;
+}
+
+/**
+ * Fills flat triangles (a plain array of corner coordinates, z = 0) with
+ * particles in the logo treatment: centred, normalised to SVG_SIZE, spread
+ * over `depth` and brighter towards the top.
+ *
+ *   count             - number of particles
+ *   depth             - z range the particles are spread over, for some volume
+ *   scale             - multiplier on the normalised size
+ *   distribution      - 'random' or 'blue-noise', see sampleTriangles
+ *   box               - { x, y, width, height } to centre and normalise by,
+ *                       the bounds of the triangles when null
+ *   flipY             - the source y axis points down (SVG)
+ *   triangleOpacities - optional opacity multiplier per triangle
+ */
+export function particlesFromTriangles(vertices, {
+    count = 15000,
+    depth = 8,
+    scale = 1,
+    distribution = 'random',
+    box = null,
+    flipY = false,
+    triangleOpacities = null,
+} = {}) {
+    if (vertices.length === 0) {
+        console.warn('No filled shapes to place particles on');
+        return createPointCloud(0);
+    }
+
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    for (let i = 0; i < vertices.length; i += 3) {
+        if (vertices[i] < minX) minX = vertices[i];
+        if (vertices[i] > maxX) maxX = vertices[i];
+        if (vertices[i + 1] < minY) minY = vertices[i + 1];
+        if (vertices[i + 1] > maxY) maxY = vertices[i + 1];
+    }
+
+    // Box to centre and normalise by
+    const frame = box || { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    const cx = frame.x + frame.width / 2;
+    const cy = frame.y + frame.height / 2;
+    const unit = (SVG_SIZE / Math.max(frame.width, frame.height, 1e-6)) * scale;
+    const ySign = flipY ? -1 : 1;
+
+    // Content bounds in scene space, for the top-to-bottom opacity gradient
+    const top = Math.max((minY - cy) * ySign, (maxY - cy) * ySign) * unit;
+    const bottom = Math.min((minY - cy) * ySign, (maxY - cy) * ySign) * unit;
+
+    const cloud = createPointCloud(count);
+    const { positions, opacities, sizes } = cloud;
+    const { triangles } = sampleTriangles(new Float32Array(vertices), count, { distribution, positions });
+
+    for (let i = 0; i < count; i++) {
+        // Centre, flip Y if needed (SVG y goes down, 3D y goes up) and scale
+        const y = (positions[i * 3 + 1] - cy) * ySign * unit;
+
+        positions[i * 3] = (positions[i * 3] - cx) * unit;
+        positions[i * 3 + 1] = y;
+        positions[i * 3 + 2] = (random() - 0.5) * depth; // Add volume
+
+        // Opacity gradient (brighter at top), scaled by the shape's own opacity
+        const normalizedY = top > bottom ? (y - bottom) / (top - bottom) : 1;
+        const shapeOpacity = triangleOpacities ? triangleOpacities[triangles[i]] : 1;
+        opacities[i] = (0.5 + normalizedY * 0.5) * shapeOpacity; // Range: 0.5 to 1.0
+        sizes[i] = 1.2 + random() * 0.8; // Larger points: 1.2 to 2.0
+    }
+
+    return cloud;
+}
+
+/**
+ * Builds a cloud from SVG markup.
+ *
+ *   count        - number of particles
+ *   depth        - z range the particles are spread over, for some volume
+ *   scale        - multiplier on the normalised size
+ *   fit          - 'viewBox' centres and sizes by the viewBox (keeps the
+ *                  artboard padding), 'content' by the bounds of the filled shapes
+ *   distribution - 'random' or 'blue-noise', see sampleTriangles
+ */
+export function parseSVGParticles(svgString, {
+    count = 15000,
+    depth = 8,
+    scale = 1,
+    fit = 'viewBox',
+    distribution = 'random',
+} = {}) {
+    const svgResult = new SVGLoader().parse(svgString);
+
+    // Triangulate every filled path; holes follow the path's fill-rule
+    const vertices = [];
+    const triangleOpacities = [];
+
+    svgResult.paths.forEach((path) => {
+        const fillOpacity = getFillOpacity(path);
+        if (fillOpacity <= 0) return;
+
+        const added = triangulateShapes(SVGLoader.createShapes(path), vertices);
+        for (let t = 0; t < added; t++) triangleOpacities.push(fillOpacity);
+    });
+
+    return particlesFromTriangles(vertices, {
+        count,
+        depth,
+        scale,
+        distribution,
+        box: fit === 'viewBox' ? readViewBox(svgResult.xml) : null,
+        flipY: true,
+        triangleOpacities,
+    });
+}
+
+/**
+ * Resolves with SVG markup, fetching it first when given a URL.
+ */
+export async function loadSVG(svgStringOrUrl) {
+    if (svgStringOrUrl.trim().startsWith('<')) return svgStringOrUrl;
+
+    const response = await fetch(svgStringOrUrl);
+    if (!response.ok) throw new Error(`Could not load SVG ${svgStringOrUrl}: ${response.status}`);
+    return response.text();
+}
+
+/**
+ * Builds a cloud from SVG markup or the URL of an SVG file. Resolves with
+ * the cloud; see parseSVGParticles for the options.
+ */
+export async function particlesFromSVG(svgStringOrUrl, options = {}) {
+    return parseSVGParticles(await loadSVG(svgStringOrUrl), options);
+}
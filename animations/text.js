@@ -0,0 +1,177 @@
+import { FontLoader } from 'https://unpkg.com/three@0.160.0/examples/jsm/loaders/FontLoader.js';
+import { getContainer, createParticleScene, SCENE_DEFAULTS } from './particle-scene.js';
+import { mergeOptions, rules } from './options.js';
+import { DISTRIBUTIONS } from './sampling.js';
+import { particlesFromTriangles, triangulateShapes } from './svg-particles.js';
+
+// typeface.json fonts shipped with three.js, by family and weight
+const FONT_BASE_URL = 'https://unpkg.com/three@0.160.0/examples/fonts/';
+const FONT_FAMILIES = ['helvetiker', 'optimer', 'gentilis'];
+const FONT_WEIGHTS = ['regular', 'bold'];
+
+// Glyph outlines are laid out at this size, the cloud is normalised afterwards
+const LAYOUT_SIZE = 100;
+
+// Default configuration
+const DEFAULT_CONFIG = mergeOptions(SCENE_DEFAULTS, {
+    particleCount: 20000,
+    text: 'NVD', // Use \n for multiple lines
+    font: 'helvetiker', // Bundled family name, typeface.json URL or a loaded Font
+    weight: 'bold', // 'regular' | 'bold' (bundled families only)
+    lineHeight: 1.2, // Baseline to baseline, in font sizes
+    align: 'center', // 'left' | 'center' | 'right'
+    textScale: 1.0,
+    textDepth: 8, // Z-depth range for 3D volume
+    textDistribution: 'random', // 'random' | 'blue-noise' (even fill, slower to build)
+    mouse: { maxRotation: 0.2, smoothing: 0.05 },
+    float: { step: 0.01, amplitude: [0.3, 0.3, 0.3] },
+});
+
+const OPTION_RULES = {
+    particleCount: rules.positiveInteger,
+    text: (value) => typeof value === 'string' && value.trim() !== '',
+    font: (value) => Boolean(value) && (value.isFont || (typeof value === 'string' && value.trim() !== '')),
+    weight: rules.oneOf(...FONT_WEIGHTS),
+    lineHeight: rules.positive,
+    align: rules.oneOf('left', 'center', 'right'),
+    textScale: rules.positive,
+    textDepth: rules.nonNegative,
+    textDistribution: rules.oneOf(...DISTRIBUTIONS),
+};
+
+// Font requests and loaded fonts by URL
+const fontRequests = new Map();
+const loadedFonts = new Map();
+
+function getFontUrl(font, weight) {
+    return FONT_FAMILIES.includes(font) ? `${FONT_BASE_URL}${font}_${weight}.typeface.json` : font;
+}
+
+/**
+ * Resolves with a three.js Font for a bundled family name (in the given
+ * weight), a typeface.json URL or an already loaded Font.
+ */
+export function loadFont(font, weight = 'regular') {
+    if (font && font.isFont) return Promise.resolve(font);
+
+    const url = getFontUrl(font, weight);
+    if (!fontRequests.has(url)) {
+        const request = new FontLoader().loadAsync(url).then((loaded) => {
+            loadedFonts.set(url, loaded);
+            return loaded;
+        });
+        // Let a failed font be retried
+        request.catch(() => fontRequests.delete(url));
+        fontRequests.set(url, request);
+    }
+    return fontRequests.get(url);
+}
+
+// The font and weight that validation will settle on, so the font loaded
+// up front is the one the cloud is built with: invalid values fall back to
+// those in `fallback`
+function pickFont(options, fallback) {
+    const pick = (key) => (options[key] !== undefined && OPTION_RULES[key](options[key]) ? options[key] : fallback[key]);
+    return { font: pick('font'), weight: pick('weight') };
+}
+
+function getLoadedFont(font, weight) {
+    return font && font.isFont ? font : loadedFonts.get(getFontUrl(font, weight));
+}
+
+// Horizontal advance of a line, as the font lays it out
+function measureLine(font, line) {
+    const { glyphs, resolution } = font.data;
+    return Array.from(line).reduce((width, char) => {
+        const glyph = glyphs[char] || glyphs['?'];
+        return width + (glyph ? glyph.ha : 0);
+    }, 0) * (LAYOUT_SIZE / resolution);
+}
+
+/**
+ * Lays out `text` (lines split on \n) in a loaded Font and fills the glyphs
+ * with particles.
+ *
+ *   lineHeight   - baseline to baseline, in font sizes
+ *   align        - 'left' | 'center' | 'right'
+ *   count, depth, scale, distribution - see particlesFromTriangles
+ */
+export function particlesFromText(text, font, {
+    lineHeight = 1.2,
+    align = 'center',
+    ...options
+} = {}) {
+    const lines = String(text).split('\n');
+    const widths = lines.map((line) => measureLine(font, line));
+    const maxWidth = Math.max(...widths);
+    const vertices = [];
+
+    lines.forEach((line, i) => {
+        let offsetX = 0;
+        if (align === 'center') offsetX = (maxWidth - widths[i]) / 2;
+        else if (align === 'right') offsetX = maxWidth - widths[i];
+
+        // Glyph outlines come with their holes (counters) already attached
+        triangulateShapes(font.generateShapes(line, LAYOUT_SIZE), vertices, offsetX, -i * lineHeight * LAYOUT_SIZE);
+    });
+
+    return particlesFromTriangles(vertices, options);
+}
+
+// Headline filled with particles
+function createTextCloud(config) {
+    return particlesFromText(config.text, getLoadedFont(config.font, config.weight), {
+        lineHeight: config.lineHeight,
+        align: config.align,
+        count: config.particleCount,
+        depth: config.textDepth,
+        scale: config.textScale,
+        distribution: config.textDistribution,
+    });
+}
+
+/**
+ * Mounts a text animation. Fonts load asynchronously, so this resolves with
+ * the controller (null on failure). The controller's setOptions() also
+ * returns a Promise, resolved once a newly requested font has loaded and
+ * the options are applied.
+ */
+export function initTextAnimation(containerId, options = {}) {
+    const container = getContainer(containerId);
+    if (!container) return Promise.resolve(null);
+
+    // Numeric data attributes arrive as numbers
+    if (typeof options.text === 'number') options = { ...options, text: String(options.text) };
+
+    const { font, weight } = pickFont(options, DEFAULT_CONFIG);
+
+    return loadFont(font, weight).then(
+        () => {
+            const controller = createParticleScene(container, {
+                defaults: DEFAULT_CONFIG,
+                rules: OPTION_RULES,
+                options,
+                createCloud: createTextCloud,
+            });
+
+            const applyOptions = controller.setOptions;
+            controller.setOptions = (newOptions = {}) => {
+                const { font: newFont, weight: newWeight } = pickFont(newOptions, controller.config);
+                return loadFont(newFont, newWeight).then(
+                    () => applyOptions(newOptions),
+                    (error) => {
+                        // Keep the current font (undefined options are ignored), but apply the rest
+                        console.error(`Could not load font ${getFontUrl(newFont, newWeight)}: ${error.message}`);
+                        return applyOptions({ ...newOptions, font: undefined, weight: undefined });
+                    }
+                );
+            };
+
+            return controller;
+        },
+        (error) => {
+            console.error(`Could not load font ${getFontUrl(font, weight)}: ${error.message}`);
+            return null;
+        }
+    );
+}